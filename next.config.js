@@ -13,6 +13,21 @@ const nextConfig = {
     ],
     unoptimized: true,
   },
+  // Serve ord-style content and recursive endpoints from our own origin so
+  // inscriptions (and HTML children that reference other inscriptions) go
+  // through the configured ordinals backend
+  async rewrites() {
+    return [
+      {
+        source: '/content/:id',
+        destination: '/api/ordinals/content/:id',
+      },
+      {
+        source: '/r/:path*',
+        destination: '/api/ordinals/r/:path*',
+      },
+    ];
+  },
 };
 
 module.exports = nextConfig;
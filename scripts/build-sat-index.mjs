@@ -0,0 +1,22 @@
+// Packs the on-chain bitmap sat index inscriptions into data/bitmap-sat-index.bin
+// Usage: npm run build:sat-index [-- <output file>]   (ORD_URL picks the ord server)
+import { promises as fs } from 'fs';
+import path from 'path';
+import { buildSatIndexBinary } from '../src/lib/bitmap/satIndexBinary.js';
+
+const ordUrl = process.env.ORD_URL || 'https://ordinals.com';
+const output = process.argv[2] || process.env.BITMAP_SAT_INDEX_FILE || path.join(process.cwd(), 'data', 'bitmap-sat-index.bin');
+
+const ordinals = {
+  async text(ordPath) {
+    console.log(`Fetching ${ordUrl}${ordPath}`);
+    const response = await fetch(`${ordUrl}${ordPath}`, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+    if (!response.ok) throw new Error(`${response.status} for ${ordPath}`);
+    return response.text();
+  },
+};
+
+const buffer = await buildSatIndexBinary(ordinals);
+await fs.mkdir(path.dirname(output), { recursive: true });
+await fs.writeFile(output, buffer);
+console.log(`Wrote ${buffer.length} bytes to ${output}`);
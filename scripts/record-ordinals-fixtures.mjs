@@ -0,0 +1,71 @@
+// Records real ord responses for the bitmap data layer tests into
+// src/lib/bitmap/__tests__/fixtures/bitmap-<number>.json, keyed by ord path in the
+// shape recordedOrdinals() answers from. Bitmaps default to the district, whose
+// children span more than one page.
+// Usage: npm run record:fixtures [-- <bitmap number> ...]   (ORD_URL picks the ord server)
+// Needs the sat index file from npm run build:sat-index.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readSat } from '../src/lib/bitmap/satIndexBinary.js';
+
+const ordUrl = process.env.ORD_URL || 'https://ordinals.com';
+const indexFile = process.env.BITMAP_SAT_INDEX_FILE || path.join(process.cwd(), 'data', 'bitmap-sat-index.bin');
+const fixturesDir = path.join(process.cwd(), 'src', 'lib', 'bitmap', '__tests__', 'fixtures');
+const bitmaps = process.argv.slice(2).map(Number);
+if (bitmaps.length === 0) bitmaps.push(267651);
+
+// Text content past this size is left out; classifyChild treats it as not a parcel
+const MAX_RECORDED_TEXT = 1024;
+
+async function record(responses, ordPath, asJson) {
+  console.log(`Fetching ${ordUrl}${ordPath}`);
+  const response = await fetch(`${ordUrl}${ordPath}`, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+  if (!response.ok) throw new Error(`${response.status} for ${ordPath}`);
+  responses[ordPath] = asJson ? await response.json() : await response.text();
+  return responses[ordPath];
+}
+
+async function recordPages(responses, basePath) {
+  const ids = [];
+  for (let page = 0; ; page++) {
+    const data = await record(responses, page === 0 ? basePath : `${basePath}/${page}`, true);
+    ids.push(...(data.ids || []));
+    if (!data.more) return ids;
+  }
+}
+
+// What findBitmapOnSat reads: the sat's inscriptions up to the first valid bitmap
+async function recordSat(responses, bitmapNumber, sat) {
+  for (const id of await recordPages(responses, `/r/sat/${sat}`)) {
+    const info = await record(responses, `/r/inscription/${id}`, true);
+    // Same metadata filter as mayBeBitmapText: missing fields don't rule an inscription out
+    if (info.content_type != null && !/^text\/plain(;|$)/.test(info.content_type)) continue;
+    if (info.content_length > 32) continue;
+    const content = await record(responses, `/content/${id}`, false);
+    if (content === `${bitmapNumber}.bitmap` && info.height >= bitmapNumber) return id;
+  }
+  throw new Error(`No valid ${bitmapNumber}.bitmap on sat ${sat}`);
+}
+
+// What fetchParcels reads: every child page, each child's metadata and its text content
+async function recordChildren(responses, inscriptionId) {
+  for (const id of await recordPages(responses, `/r/children/${inscriptionId}`)) {
+    const info = await record(responses, `/r/inscription/${id}`, true);
+    if (info.content_type?.includes('text/plain') && !(info.content_length > MAX_RECORDED_TEXT)) {
+      await record(responses, `/content/${id}`, false);
+    }
+  }
+}
+
+const index = await fs.readFile(indexFile);
+await fs.mkdir(fixturesDir, { recursive: true });
+for (const bitmapNumber of bitmaps) {
+  const sat = readSat(index, bitmapNumber);
+  if (sat === null) throw new Error(`Bitmap ${bitmapNumber} has no sat in ${indexFile}`);
+  const responses = {};
+  const inscriptionId = await recordSat(responses, bitmapNumber, sat);
+  await recordChildren(responses, inscriptionId);
+  const output = path.join(fixturesDir, `bitmap-${bitmapNumber}.json`);
+  await fs.writeFile(output, `${JSON.stringify(responses, null, 2)}\n`);
+  console.log(`Recorded ${Object.keys(responses).length} responses for ${bitmapNumber}.bitmap (${inscriptionId} on sat ${sat}) to ${output}`);
+}
@@ -0,0 +1,11 @@
+export async function generateMetadata({ params }) {
+  const { number } = await params;
+  return {
+    title: `Parcel claims of ${number}.bitmap | HPEC DAO`,
+    description: `Claimed and available parcels of bitmap ${number}`,
+  };
+}
+
+export default function ClaimsPage() {
+  return null;
+}
@@ -0,0 +1,11 @@
+export async function generateMetadata({ params }) {
+  const { number } = await params;
+  return {
+    title: `${number}.bitmap | HPEC DAO`,
+    description: `Block visualization, parcels and children of bitmap ${number}`,
+  };
+}
+
+export default function BitmapPage() {
+  return null;
+}
@@ -0,0 +1,11 @@
+export async function generateMetadata({ params }) {
+  const { number, id } = await params;
+  return {
+    title: `Parcel of ${number}.bitmap | HPEC DAO`,
+    description: `Parcel inscription ${id} on bitmap ${number}`,
+  };
+}
+
+export default function ParcelPage() {
+  return null;
+}
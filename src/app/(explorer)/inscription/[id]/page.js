@@ -0,0 +1,11 @@
+export async function generateMetadata({ params }) {
+  const { id } = await params;
+  return {
+    title: `Inscription ${id.slice(0, 8)}... | HPEC DAO`,
+    description: `Bitmap child inscription ${id}`,
+  };
+}
+
+export default function InscriptionPage() {
+  return null;
+}
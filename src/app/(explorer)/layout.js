@@ -0,0 +1,13 @@
+import { Suspense } from 'react';
+import BitmapOCIApp from '@/components/BitmapOCIApp';
+
+// The explorer lives in the layout so it stays mounted while the URL changes;
+// the route pages below only contribute metadata for shared links.
+export default function ExplorerLayout({ children }) {
+  return (
+    <Suspense fallback={null}>
+      <BitmapOCIApp />
+      {children}
+    </Suspense>
+  );
+}
@@ -0,0 +1,61 @@
+import { getClaimMap, hasClaimMap } from '@/lib/claims';
+import { availableParcelNames } from '@/lib/bitmap';
+import { isModerator } from '@/lib/moderation';
+import { clientAddress, createRateLimit } from '@/lib/rateLimit';
+
+const INSCRIPTION_ID = /^[0-9a-f]{64}i\d+$/;
+
+// details=1 walks every parcel's children too, so outside moderators each client may
+// only start a few of those scans at a time; cached claim maps are always served
+const detailsLimit = createRateLimit({ limit: 5, windowMs: 5 * 60 * 1000 });
+
+// GET /api/bitmap/:number/claims[?inscription=<id>][&format=txt][&details=1]
+// Maps every transaction of the block to the parcel claiming it. With format=txt
+// the available parcel names are downloaded instead, one per line. details=1 adds
+// each parcel's owner, child count and main child content type.
+export async function GET(request, { params }) {
+  const { number } = await params;
+  if (!/^\d+$/.test(number)) {
+    return Response.json({ error: 'Please enter a valid number' }, { status: 400 });
+  }
+  const bitmapNumber = parseInt(number, 10);
+  const searchParams = new URL(request.url).searchParams;
+  const hint = searchParams.get('inscription');
+  if (hint !== null && !INSCRIPTION_ID.test(hint)) {
+    return Response.json({ error: 'Invalid inscription ID' }, { status: 400 });
+  }
+
+  const withDetails = searchParams.get('details') === '1';
+  if (
+    withDetails &&
+    !hasClaimMap(bitmapNumber, hint, { withDetails }) &&
+    !isModerator(request) &&
+    !detailsLimit(clientAddress(request))
+  ) {
+    return Response.json(
+      { error: 'Too many parcel detail scans, try again in a few minutes' },
+      { status: 429, headers: { 'Retry-After': '300' } }
+    );
+  }
+
+  let claimMap;
+  try {
+    claimMap = await getClaimMap(bitmapNumber, hint, { withDetails });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: error.status === 404 ? 404 : 502 });
+  }
+  if (!claimMap) {
+    return Response.json({ error: `No valid ${bitmapNumber}.bitmap inscription found` }, { status: 404 });
+  }
+
+  if (searchParams.get('format') === 'txt') {
+    return new Response(`${availableParcelNames(claimMap).join('\n')}\n`, {
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${bitmapNumber}-available-parcels.txt"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  }
+  return Response.json(claimMap, { headers: { 'Cache-Control': 'no-store' } });
+}
@@ -0,0 +1,36 @@
+import { lookupBitmap } from '@/lib/satIndexStore';
+import { MAX_INDEXED_BITMAP } from '@/lib/bitmap';
+
+const INSCRIPTION_ID = /^[0-9a-f]{64}i\d+$/;
+
+// GET /api/bitmap/:number/sat[?inscription=<id>]
+// Answers with the bitmap's sat and its valid inscription on that sat. Bitmaps
+// past the on-chain index are found through an inscription on their sat, or by
+// searching the blocks around their own; the earliest one seen is answered as unconfirmed.
+export async function GET(request, { params }) {
+  const { number } = await params;
+  if (!/^\d+$/.test(number)) {
+    return Response.json({ error: 'Please enter a valid number' }, { status: 400 });
+  }
+  const bitmapNumber = parseInt(number, 10);
+  const hint = new URL(request.url).searchParams.get('inscription');
+  if (hint !== null && !INSCRIPTION_ID.test(hint)) {
+    return Response.json({ error: 'Invalid inscription ID' }, { status: 400 });
+  }
+
+  try {
+    const entry = await lookupBitmap(bitmapNumber, hint);
+    if (!entry) {
+      const error = bitmapNumber > MAX_INDEXED_BITMAP
+        ? `No valid ${bitmapNumber}.bitmap inscription found near block ${bitmapNumber} - open it by its inscription ID to resolve it`
+        : `No valid ${bitmapNumber}.bitmap inscription found on its sat`;
+      return Response.json({ error }, { status: 404 });
+    }
+    // An indexed bitmap's sat and first valid inscription never change. An unconfirmed
+    // one may still be replaced by an earlier candidate.
+    const cacheControl = entry.confirmed ? 'public, max-age=31536000, immutable' : 'no-store';
+    return Response.json(entry, { headers: { 'Cache-Control': cacheControl } });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 502 });
+  }
+}
@@ -0,0 +1,32 @@
+import { lookupBitmap } from '@/lib/satIndexStore';
+import { serverOrdinals } from '@/lib/ordinals';
+import { verifyBitmapInscription } from '@/lib/bitmap';
+
+const INSCRIPTION_ID = /^[0-9a-f]{64}i\d+$/;
+
+// GET /api/bitmap/:number/verify[?inscription=<id>]
+// Checks the given inscription (or the resolved one) against the bitmap validity
+// rules and lists look-alike inscriptions on the same sat
+export async function GET(request, { params }) {
+  const { number } = await params;
+  if (!/^\d+$/.test(number)) {
+    return Response.json({ error: 'Please enter a valid number' }, { status: 400 });
+  }
+  const bitmapNumber = parseInt(number, 10);
+  const inscriptionId = new URL(request.url).searchParams.get('inscription');
+  if (inscriptionId !== null && !INSCRIPTION_ID.test(inscriptionId)) {
+    return Response.json({ error: 'Invalid inscription ID' }, { status: 400 });
+  }
+
+  try {
+    const valid = await lookupBitmap(bitmapNumber, inscriptionId);
+    const target = inscriptionId || valid?.inscriptionId;
+    if (!target) {
+      return Response.json({ error: `No inscription to verify for bitmap ${bitmapNumber}` }, { status: 404 });
+    }
+    const report = await verifyBitmapInscription(serverOrdinals, bitmapNumber, target, valid);
+    return Response.json(report, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 502 });
+  }
+}
@@ -0,0 +1,21 @@
+import { getBlock } from '@/lib/blocks';
+import { BlockDataError } from '@/lib/blockProviders';
+
+export async function GET(request, { params }) {
+  const { height } = await params;
+  if (!/^\d+$/.test(height)) {
+    return Response.json({ error: 'Block height must be a non-negative integer' }, { status: 400 });
+  }
+
+  try {
+    const block = await getBlock(parseInt(height, 10));
+    return Response.json(block, {
+      headers: { 'Cache-Control': 'public, max-age=3600, stale-while-revalidate=86400' },
+    });
+  } catch (error) {
+    if (error instanceof BlockDataError) {
+      return Response.json({ error: error.message, providers: error.errors }, { status: error.status });
+    }
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,32 @@
+import { getLinkage, deleteLinkage } from '@/lib/linkageStore';
+import { isModerator } from '@/lib/moderation';
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const linkage = await getLinkage(id);
+    if (!linkage) {
+      return Response.json({ error: 'Linkage not found' }, { status: 404 });
+    }
+    return Response.json({ linkage });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// Deleting from the registry is reserved for moderators
+export async function DELETE(request, { params }) {
+  if (!isModerator(request)) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+  const { id } = await params;
+  try {
+    const deleted = await deleteLinkage(id);
+    if (!deleted) {
+      return Response.json({ error: 'Linkage not found' }, { status: 404 });
+    }
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,27 @@
+import { issueChallenge } from '@/lib/challenges';
+import { clientAddress, createRateLimit } from '@/lib/rateLimit';
+
+// Linking needs one challenge per attempt; this leaves room for retries
+const challengeLimit = createRateLimit({ limit: 10, windowMs: 60 * 1000 });
+
+export async function POST(request) {
+  if (!challengeLimit(clientAddress(request))) {
+    return Response.json(
+      { error: 'Too many signing challenges requested, try again in a minute' },
+      { status: 429, headers: { 'Retry-After': '60' } }
+    );
+  }
+
+  const { host } = new URL(request.url);
+  const challenge = issueChallenge(host);
+  return Response.json(
+    {
+      nonce: challenge.nonce,
+      domain: challenge.domain,
+      message: challenge.message,
+      issuedAt: new Date(challenge.issuedAt).toISOString(),
+      expiresAt: new Date(challenge.expiresAt).toISOString(),
+    },
+    { headers: { 'Cache-Control': 'no-store' } }
+  );
+}
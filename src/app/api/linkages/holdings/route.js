@@ -0,0 +1,20 @@
+import { refreshLinkageHoldings } from '@/lib/holdings';
+import { isModerator } from '@/lib/moderation';
+
+// Re-check on-chain ownership of the district for every linked BTC address. Anyone may
+// ask, but only moderators can start a new scan right after the last one.
+export async function POST(request) {
+  const refresh = refreshLinkageHoldings({ force: isModerator(request) });
+  if (!refresh) {
+    return Response.json(
+      { error: 'Holdings were checked in the last few minutes, try again later' },
+      { status: 429, headers: { 'Retry-After': '300' } }
+    );
+  }
+
+  try {
+    return Response.json({ linkages: await refresh });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 502 });
+  }
+}
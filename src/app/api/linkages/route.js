@@ -0,0 +1,85 @@
+import { verifyLinkage } from '@/lib/signatures';
+import { listLinkages, createLinkage } from '@/lib/linkageStore';
+import { findChallenge, consumeChallenge } from '@/lib/challenges';
+import { holdingsFromLastScan } from '@/lib/holdings';
+
+const REQUIRED_FIELDS = [
+  'nonce',
+  'btcAddress',
+  'btcMessage',
+  'btcSignature',
+  'adaAddress',
+  'adaMessage',
+  'adaSignature',
+  'adaKey',
+];
+
+export async function GET() {
+  try {
+    const linkages = await listLinkages();
+    return Response.json({ linkages });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return Response.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => typeof body?.[field] !== 'string' || !body[field]);
+  if (missing.length > 0) {
+    return Response.json({ error: 'Missing required fields', fields: missing }, { status: 400 });
+  }
+
+  // Both wallets must have signed the exact challenge this server issued
+  const { host } = new URL(request.url);
+  const challenge = findChallenge(body.nonce, host);
+  if (!challenge) {
+    return Response.json({ error: 'Challenge expired or unknown' }, { status: 400 });
+  }
+  if (body.btcMessage !== challenge.message || body.adaMessage !== challenge.message) {
+    return Response.json({ error: 'Signed message does not match challenge' }, { status: 400 });
+  }
+
+  const result = verifyLinkage(body);
+  if (!result.valid) {
+    return Response.json(
+      { error: 'Signature verification failed', btcVerified: result.btc, adaVerified: result.ada },
+      { status: 401 }
+    );
+  }
+
+  if (!consumeChallenge(body.nonce)) {
+    return Response.json({ error: 'Challenge already used' }, { status: 409 });
+  }
+
+  const newLinkage = {
+    btcAddress: body.btcAddress,
+    adaAddress: body.adaAddress,
+    btcWallet: body.btcWallet || '',
+    cardanoWallet: body.cardanoWallet || '',
+    btcMessage: body.btcMessage,
+    adaMessage: body.adaMessage,
+    btcSignature: body.btcSignature,
+    adaSignature: body.adaSignature,
+    adaKey: body.adaKey,
+    nonce: body.nonce,
+    discordUsername: body.discordUsername || '',
+    timestamp: new Date().toISOString(),
+    verified: true,
+  };
+  const holdings = holdingsFromLastScan(body.btcAddress);
+  if (holdings) newLinkage.holdings = holdings;
+
+  try {
+    const { linkage, replaced } = await createLinkage(newLinkage);
+    return Response.json({ linkage, replaced }, { status: 201 });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
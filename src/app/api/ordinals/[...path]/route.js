@@ -0,0 +1,6 @@
+import { proxyOrdinals } from '@/lib/ordinalsProxy';
+
+export async function GET(request, { params }) {
+  const { path } = await params;
+  return proxyOrdinals(request, `/${path.join('/')}`);
+}
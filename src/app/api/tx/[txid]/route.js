@@ -0,0 +1,21 @@
+import { getTransaction } from '@/lib/blocks';
+import { BlockDataError } from '@/lib/blockProviders';
+
+export async function GET(request, { params }) {
+  const { txid } = await params;
+  if (!/^[0-9a-f]{64}$/.test(txid)) {
+    return Response.json({ error: 'Transaction ID must be 64 hex characters' }, { status: 400 });
+  }
+
+  try {
+    const tx = await getTransaction(txid);
+    return Response.json(tx, {
+      headers: { 'Cache-Control': 'public, max-age=3600, stale-while-revalidate=86400' },
+    });
+  } catch (error) {
+    if (error instanceof BlockDataError) {
+      return Response.json({ error: error.message, providers: error.errors }, { status: error.status });
+    }
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,3042 @@
+"use client";
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Search, AlertCircle, CheckCircle, Loader2, Grid3x3, ChevronRight, ArrowLeft, Wallet, Link as LinkIcon, Copy, ShieldCheck, ShieldAlert, Download } from 'lucide-react';
+import ImageIcon from 'lucide-react/dist/esm/icons/image';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
+import {
+  MAX_INDEXED_BITMAP,
+  getInscriptionOwner as getOwnerAddress,
+  fetchParcels as fetchBitmapParcels,
+  iterateChildPages,
+  getChildrenInfo,
+  SIZE_MODES,
+  DEFAULT_SIZE_MODE,
+  COLOR_MODES,
+  DEFAULT_COLOR_MODE,
+  layoutMondrian,
+  HEIGHT_MODES_3D,
+  DEFAULT_HEIGHT_MODE_3D,
+  COLOR_MODES_3D,
+  DEFAULT_COLOR_MODE_3D,
+  parseParcelIndex,
+  claimParcels,
+} from '@/lib/bitmap';
+import { proxyOrdinals, fetchBitmapSat, fetchBlockData, fetchTransaction } from '@/lib/bitmap/fetchers';
+import { loadChildThumbnail } from '@/lib/bitmap/thumbnails';
+
+// Error Boundary
+class ErrorBoundary extends React.Component {
+  state = { hasError: false, error: null };
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+  render() {
+    if (this.state.hasError) {
+      return (
+        <div className="bg-gray-900 p-4 rounded-lg border-2 border-orange-700">
+          <h1 className="text-xl text-orange-400">Error in 3D Visualization</h1>
+          <pre className="text-sm text-white">{this.state.error?.toString()}</pre>
+        </div>
+      );
+    }
+    return this.props.children;
+  }
+}
+
+// Bitmap 3D Viewer
+// World units per Mondrian grid cell, and the gap left between neighbouring buildings
+const CELL_SIZE_3D = 9;
+const GAP_3D = 3;
+// Buildings are grouped into square chunks of grid cells so off-screen chunks are frustum culled
+const CHUNK_CELLS_3D = 16;
+// Past these camera distances a chunk drops its parcel portals, then switches to cheaper shading
+const PORTAL_DISTANCE_3D = 400;
+const DETAIL_DISTANCE_3D = 700;
+// Walk mode keeps the camera at street level
+const WALK_EYE_HEIGHT_3D = 4;
+const WALK_SPEED_3D = 40;
+const FLIGHT_DURATION_3D = 1000;
+// Arrow keys pan the orbit view along the ground as [right, forward]
+const PAN_KEYS = {
+  arrowleft: [-1, 0],
+  arrowright: [1, 0],
+  arrowup: [0, 1],
+  arrowdown: [0, -1],
+};
+const WALK_KEYS = {
+  w: 'forward',
+  arrowup: 'forward',
+  s: 'back',
+  arrowdown: 'back',
+  a: 'left',
+  arrowleft: 'left',
+  d: 'right',
+  arrowright: 'right',
+  q: 'turnLeft',
+  e: 'turnRight',
+};
+
+// Parcel child previews: atlas tile size in pixels, the largest atlas, and how many load at once
+const ATLAS_TILE_3D = 128;
+const ATLAS_MAX_SIZE_3D = 4096;
+const THUMBNAIL_CONCURRENCY = 6;
+const ATLAS_UPLOAD_INTERVAL = 500;
+
+// Exports: PNG snapshot sizes, and an STL print's longest side and base plate in millimetres
+const SNAPSHOT_SIZES_3D = {
+  hd: { label: '1920 × 1080', width: 1920, height: 1080 },
+  qhd: { label: '2560 × 1440', width: 2560, height: 1440 },
+  uhd: { label: '3840 × 2160', width: 3840, height: 2160 },
+  uhd8k: { label: '7680 × 4320', width: 7680, height: 4320 },
+};
+const DEFAULT_SNAPSHOT_SIZE_3D = 'uhd';
+const STL_PRINT_SIZE_MM = 200;
+const STL_BASE_MM = 3;
+const EXPORT_FORMATS_3D = [
+  { format: 'png', label: 'PNG', type: 'image/png' },
+  { format: 'glb', label: 'GLB', type: 'model/gltf-binary' },
+  { format: 'gltf', label: 'glTF', type: 'model/gltf+json' },
+  { format: 'stl', label: 'STL', type: 'model/stl' },
+];
+
+const HIGHLIGHT_COLOR = '#4ade80';
+const PORTAL_COLOR = '#00ffff';
+
+// Picking renders every building in a colour encoding its square's index + 1 (0 = nothing)
+const PICKING_VERTEX_SHADER = `
+  varying vec3 vPickColor;
+  void main() {
+    vPickColor = instanceColor;
+    gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+  }
+`;
+const PICKING_FRAGMENT_SHADER = `
+  varying vec3 vPickColor;
+  void main() {
+    gl_FragColor = vec4(vPickColor, 1.0);
+  }
+`;
+
+function encodePickId(color, id) {
+  return color.setRGB((id & 0xff) / 255, ((id >> 8) & 0xff) / 255, ((id >> 16) & 0xff) / 255);
+}
+
+function decodePickId(pixel) {
+  return pixel[0] | (pixel[1] << 8) | (pixel[2] << 16);
+}
+
+// One InstancedMesh of buildings per chunk, a picking twin sharing its instance matrices,
+// and room for a portal on every square that a parcel may claim later. Heights and
+// colours are filled in by paintChunks.
+function buildChunks(layout, resources) {
+  const groups = new Map();
+  layout.squares.forEach((square, squareIndex) => {
+    const key = `${Math.floor(square.x / CHUNK_CELLS_3D)}:${Math.floor(square.y / CHUNK_CELLS_3D)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(squareIndex);
+  });
+
+  const color = new THREE.Color();
+
+  return [...groups.values()].map((squareIndices) => {
+    const buildings = new THREE.InstancedMesh(resources.box, resources.detailMaterial, squareIndices.length);
+    const picking = new THREE.InstancedMesh(resources.box, resources.pickingMaterial, squareIndices.length);
+    const portals = new THREE.InstancedMesh(resources.torus, resources.portalMaterial, squareIndices.length);
+    const footprints = [];
+
+    squareIndices.forEach((squareIndex, i) => {
+      const square = layout.squares[squareIndex];
+      footprints.push({
+        x: (square.x + square.size / 2 - layout.width / 2) * CELL_SIZE_3D,
+        z: (square.y + square.size / 2 - layout.height / 2) * CELL_SIZE_3D,
+        width: square.size * CELL_SIZE_3D - GAP_3D,
+      });
+      buildings.setColorAt(i, color);
+      portals.setColorAt(i, color);
+      picking.setColorAt(i, encodePickId(color, squareIndex + 1));
+    });
+    picking.instanceMatrix = buildings.instanceMatrix;
+    portals.count = 0;
+    return { squareIndices, footprints, buildings, picking, portals, center: new THREE.Vector3() };
+  });
+}
+
+// Size and colour buildings by the chosen mappings and re-place portals, all in the
+// existing instance buffers. `details` maps parcel ids to their loaded details.
+function paintChunks(chunks, layout, claims, highlightedParcelId, { heightMode, colorMode, details }) {
+  const hasClaims = claims.size > 0;
+  const buildingHeight = HEIGHT_MODES_3D[heightMode].height;
+  const buildingColor = COLOR_MODES_3D[colorMode].color;
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const scale = new THREE.Vector3();
+  const upright = new THREE.Quaternion();
+  const flat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
+  const color = new THREE.Color();
+
+  chunks.forEach((chunk) => {
+    let portalCount = 0;
+    chunk.squareIndices.forEach((squareIndex, i) => {
+      const square = layout.squares[squareIndex];
+      const { x, z, width } = chunk.footprints[i];
+      const parcel = claims.get(square.index) || null;
+      const context = { tx: square.tx, width, parcel, details: parcel ? details?.get(parcel.id) : null, hasClaims };
+      const height = buildingHeight(context);
+      chunk.footprints[i].height = height;
+      const highlighted = Boolean(parcel) && parcel.id === highlightedParcelId;
+
+      matrix.compose(position.set(x, 0, z), upright, scale.set(width - 0.5, height, width - 0.5));
+      chunk.buildings.setMatrixAt(i, matrix);
+      chunk.buildings.setColorAt(i, color.set(highlighted ? HIGHLIGHT_COLOR : buildingColor(context)));
+
+      if (parcel) {
+        const radius = width * 0.3;
+        matrix.compose(position.set(x, height + 1, z), flat, scale.set(radius, radius, radius));
+        chunk.portals.setMatrixAt(portalCount, matrix);
+        chunk.portals.setColorAt(portalCount, color.set(highlighted ? HIGHLIGHT_COLOR : PORTAL_COLOR));
+        portalCount++;
+      }
+    });
+    chunk.buildings.instanceMatrix.needsUpdate = true;
+    chunk.buildings.instanceColor.needsUpdate = true;
+    chunk.buildings.computeBoundingSphere();
+    chunk.picking.boundingSphere = chunk.buildings.boundingSphere;
+    chunk.center.copy(chunk.buildings.boundingSphere.center);
+    chunk.portals.count = portalCount;
+    chunk.portals.instanceMatrix.needsUpdate = true;
+    chunk.portals.instanceColor.needsUpdate = true;
+    chunk.portals.boundingSphere = null;
+  });
+}
+
+// Parcel previews share one atlas texture of square tiles; previews beyond its capacity are skipped
+function createAtlas(count) {
+  const columns = Math.min(ATLAS_MAX_SIZE_3D / ATLAS_TILE_3D, Math.max(1, Math.ceil(Math.sqrt(count))));
+  const size = 2 ** Math.ceil(Math.log2(columns * ATLAS_TILE_3D));
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.generateMipmaps = false;
+  texture.minFilter = THREE.LinearFilter;
+  const tilesPerRow = size / ATLAS_TILE_3D;
+  return {
+    canvas,
+    texture,
+    tilesPerRow,
+    capacity: tilesPerRow * tilesPerRow,
+    slots: new Map(),
+    roofMaterial: atlasMaterial(texture, false),
+    billboardMaterial: atlasMaterial(texture, true),
+  };
+}
+
+// Draw a thumbnail into its tile and remember the tile's UV rect, inset by half a texel
+function addToAtlas(atlas, parcelId, slot, thumbnail) {
+  const size = atlas.canvas.width;
+  const x = (slot % atlas.tilesPerRow) * ATLAS_TILE_3D;
+  const y = Math.floor(slot / atlas.tilesPerRow) * ATLAS_TILE_3D;
+  atlas.canvas.getContext('2d').drawImage(thumbnail, x, y, ATLAS_TILE_3D, ATLAS_TILE_3D);
+  const texel = 0.5 / size;
+  atlas.slots.set(parcelId, [
+    x / size + texel,
+    1 - (y + ATLAS_TILE_3D) / size + texel,
+    ATLAS_TILE_3D / size - 2 * texel,
+    ATLAS_TILE_3D / size - 2 * texel,
+  ]);
+  atlas.dirty = true;
+}
+
+// Roof and billboard planes read their atlas tile from a per-instance rect.
+// Billboards keep only their instance's position and scale and always face the camera.
+function atlasMaterial(texture, billboard) {
+  const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide });
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute vec4 atlasRect;')
+      .replace('#include <uv_vertex>', '#include <uv_vertex>\nvMapUv = atlasRect.xy + uv * atlasRect.zw;');
+    if (billboard) {
+      shader.vertexShader = shader.vertexShader.replace(
+        '#include <project_vertex>',
+        `vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+        mvPosition.xy += position.xy * length(instanceMatrix[0].xyz);
+        gl_Position = projectionMatrix * mvPosition;`
+      );
+    }
+  };
+  material.customProgramCacheKey = () => (billboard ? 'atlas-billboard' : 'atlas-roof');
+  return material;
+}
+
+// Lay each loaded preview on its building's roof, or stand it above the building
+function paintRoofs(roofs, atlas, chunks, layout, claims, billboard) {
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const scale = new THREE.Vector3();
+  const upright = new THREE.Quaternion();
+  const flat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
+  const rects = roofs.geometry.getAttribute('atlasRect');
+  let count = 0;
+
+  chunks.forEach((chunk) => {
+    chunk.squareIndices.forEach((squareIndex, i) => {
+      const parcel = claims.get(layout.squares[squareIndex].index);
+      const rect = parcel && atlas.slots.get(parcel.id);
+      if (!rect || count >= roofs.instanceMatrix.count) return;
+      const { x, z, width, height } = chunk.footprints[i];
+      if (billboard) {
+        const side = Math.max(6, width * 0.8);
+        matrix.compose(position.set(x, height + side / 2 + 3, z), upright, scale.set(side, side, side));
+      } else {
+        matrix.compose(position.set(x, height + 0.05, z), flat, scale.set(width - 0.5, width - 0.5, 1));
+      }
+      roofs.setMatrixAt(count, matrix);
+      rects.setXYZW(count, ...rect);
+      count++;
+    });
+  });
+  roofs.count = count;
+  roofs.instanceMatrix.needsUpdate = true;
+  rects.needsUpdate = true;
+  roofs.material = billboard ? atlas.billboardMaterial : atlas.roofMaterial;
+}
+
+// Copy every instance of `meshes` into one plain geometry, instance colours becoming
+// vertex colours. `paint` can adjust each copy, as the roofs do to find their atlas tile.
+function bakeInstances(meshes, geometry, paint) {
+  const parts = [];
+  const matrix = new THREE.Matrix4();
+  const color = new THREE.Color();
+  meshes.forEach((mesh) => {
+    for (let i = 0; i < mesh.count; i++) {
+      mesh.getMatrixAt(i, matrix);
+      const part = geometry.clone().applyMatrix4(matrix);
+      if (mesh.instanceColor) {
+        mesh.getColorAt(i, color);
+        const colors = new Float32Array(part.getAttribute('position').count * 3);
+        for (let v = 0; v < colors.length; v += 3) color.toArray(colors, v);
+        part.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+      }
+      if (paint) paint(part, mesh, i);
+      parts.push(part);
+    }
+  });
+  const baked = parts.length > 0 ? mergeGeometries(parts) : null;
+  parts.forEach((part) => part.dispose());
+  return baked;
+}
+
+// The district as plain meshes other tools can read: a base plate, vertex-coloured
+// buildings and portals, and the child previews as they are currently shown (billboards
+// are baked facing south). Prints only keep what stands on the plate.
+function bakeDistrict(view, { printable = false } = {}) {
+  const { chunks, layout, resources } = view;
+  const group = new THREE.Group();
+  group.name = `Bitmap district ${layout.squares.length} squares`;
+  const extent = Math.max(layout.width, layout.height) * CELL_SIZE_3D;
+  const baseHeight = printable ? (STL_BASE_MM * extent) / STL_PRINT_SIZE_MM : 2;
+  const addMesh = (name, geometry, material) => {
+    if (!geometry) return;
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    group.add(mesh);
+  };
+
+  addMesh(
+    'ground',
+    new THREE.BoxGeometry(layout.width * CELL_SIZE_3D, baseHeight, layout.height * CELL_SIZE_3D).translate(0, -baseHeight / 2, 0),
+    new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.8 })
+  );
+  addMesh(
+    'buildings',
+    bakeInstances(chunks.map((chunk) => chunk.buildings), resources.box),
+    new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.7, metalness: 0.3 })
+  );
+  if (printable) return group;
+
+  addMesh(
+    'portals',
+    bakeInstances(chunks.map((chunk) => chunk.portals), resources.torus),
+    new THREE.MeshBasicMaterial({ vertexColors: true })
+  );
+  if (view.roofs?.visible && view.roofs.count > 0) {
+    const rects = view.roofs.geometry.getAttribute('atlasRect');
+    const plane = new THREE.PlaneGeometry(1, 1);
+    const roofs = bakeInstances([view.roofs], plane, (part, mesh, i) => {
+      const uv = part.getAttribute('uv');
+      for (let v = 0; v < uv.count; v++) {
+        uv.setXY(v, rects.getX(i) + uv.getX(v) * rects.getZ(i), rects.getY(i) + uv.getY(v) * rects.getW(i));
+      }
+    });
+    plane.dispose();
+    addMesh('children', roofs, new THREE.MeshBasicMaterial({ map: view.atlas.texture, side: THREE.DoubleSide }));
+  }
+  return group;
+}
+
+// glTF keeps colours and textures; STL is the printable part, scaled to millimetres with Z up
+async function exportDistrict(view, format) {
+  const group = bakeDistrict(view, { printable: format === 'stl' });
+  try {
+    if (format === 'stl') {
+      const extent = Math.max(view.layout.width, view.layout.height) * CELL_SIZE_3D;
+      group.scale.setScalar(STL_PRINT_SIZE_MM / extent);
+      group.rotation.x = Math.PI / 2;
+      group.updateMatrixWorld(true);
+      return new STLExporter().parse(group, { binary: true });
+    }
+    const data = await new GLTFExporter().parseAsync(group, { binary: format === 'glb' });
+    return format === 'glb' ? data : JSON.stringify(data);
+  } finally {
+    group.traverse((object) => {
+      if (!object.isMesh) return;
+      object.geometry.dispose();
+      // The atlas texture still belongs to the scene
+      object.material.dispose();
+    });
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function disposeChunks(view) {
+  view.chunks.forEach((chunk) => {
+    view.scene.remove(chunk.buildings, chunk.portals);
+    view.pickingScene.remove(chunk.picking);
+    chunk.buildings.dispose();
+    chunk.portals.dispose();
+    chunk.picking.dispose();
+  });
+  view.chunks = [];
+}
+
+function Bitmap3DViewer({ bitmapNumber, inscriptionId, layout, claims, highlightedParcelId, onParcelClick }) {
+  const mountRef = useRef(null);
+  const viewRef = useRef(null);
+  const onParcelClickRef = useRef(onParcelClick);
+  const [walkMode, setWalkMode] = useState(false);
+  const [heightMode, setHeightMode] = useState(DEFAULT_HEIGHT_MODE_3D);
+  const [colorMode, setColorMode] = useState(DEFAULT_COLOR_MODE_3D);
+  const [parcelDetails, setParcelDetails] = useState(null);
+  const [detailsError, setDetailsError] = useState('');
+  // Children textures need every parcel's details, so they stay hidden until asked for
+  const [textureMode, setTextureMode] = useState('off');
+  const [thumbnailsLoaded, setThumbnailsLoaded] = useState(0);
+  const [snapshotSize, setSnapshotSize] = useState(DEFAULT_SNAPSHOT_SIZE_3D);
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState('');
+  const showTextures = textureMode !== 'off';
+  const needsDetails = Boolean(
+    HEIGHT_MODES_3D[heightMode].needsDetails || COLOR_MODES_3D[colorMode].needsDetails || showTextures
+  );
+
+  useEffect(() => {
+    onParcelClickRef.current = onParcelClick;
+  }, [onParcelClick]);
+
+  // Renderer, lights, input and the render loop live as long as the viewer does;
+  // props only ever touch the instance buffers and camera below
+  useEffect(() => {
+    const mount = mountRef.current;
+    if (!mount) return;
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x0a0a0a);
+    const camera = new THREE.PerspectiveCamera(60, mount.clientWidth / mount.clientHeight, 0.1, 2000);
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setSize(mount.clientWidth, mount.clientHeight);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    mount.appendChild(renderer.domElement);
+
+    scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.5);
+    directionalLight.position.set(50, 100, 50);
+    scene.add(directionalLight);
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 0.5));
+
+    const ground = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.8 })
+    );
+    ground.rotation.x = -Math.PI / 2;
+    scene.add(ground);
+
+    // Shared by every chunk: a unit box standing on y = 0 and a unit portal ring
+    const resources = {
+      box: new THREE.BoxGeometry(1, 1, 1).translate(0, 0.5, 0),
+      torus: new THREE.TorusGeometry(1, 0.1, 8, 16),
+      detailMaterial: new THREE.MeshStandardMaterial({ roughness: 0.7, metalness: 0.3 }),
+      farMaterial: new THREE.MeshLambertMaterial(),
+      portalMaterial: new THREE.MeshBasicMaterial(),
+      pickingMaterial: new THREE.ShaderMaterial({
+        vertexShader: PICKING_VERTEX_SHADER,
+        fragmentShader: PICKING_FRAGMENT_SHADER,
+        toneMapped: false,
+      }),
+    };
+
+    // Orbit, pan and zoom for mouse and touch (one finger orbits, two pan and pinch).
+    // The arrow keys pan in handleKeyDown, only while the viewer has focus.
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.screenSpacePanning = false;
+    controls.maxPolarAngle = Math.PI / 2 - 0.05;
+
+    const pickingScene = new THREE.Scene();
+    const pickingTarget = new THREE.WebGLRenderTarget(1, 1);
+    const pickingPixel = new Uint8Array(4);
+    const view = {
+      scene,
+      pickingScene,
+      ground,
+      resources,
+      camera,
+      controls,
+      chunks: [],
+      layout: null,
+      flight: null,
+      walking: false,
+      walk: { yaw: 0, pitch: 0, keys: new Set() },
+    };
+    viewRef.current = view;
+
+    // Glide the camera and orbit target to a new viewpoint
+    view.flyTo = (position, target) => {
+      view.flight = {
+        fromPosition: camera.position.clone(),
+        fromTarget: controls.target.clone(),
+        position,
+        target,
+        start: performance.now(),
+      };
+    };
+
+    // Look down at a square from a little above and to the south of it, or walk
+    // up to its south side when at street level
+    view.flyToSquare = (square) => {
+      const target = new THREE.Vector3(
+        (square.x + square.size / 2 - view.layout.width / 2) * CELL_SIZE_3D,
+        0,
+        (square.y + square.size / 2 - view.layout.height / 2) * CELL_SIZE_3D
+      );
+      if (view.walking) {
+        view.walk.yaw = 0;
+        view.walk.pitch = 0.2;
+        const street = new THREE.Vector3(target.x, WALK_EYE_HEIGHT_3D, target.z + (square.size * CELL_SIZE_3D) / 2 + 15);
+        view.flyTo(street, controls.target.clone());
+        return;
+      }
+      const distance = Math.max(40, square.size * CELL_SIZE_3D * 2.5);
+      view.flyTo(target.clone().add(new THREE.Vector3(0, distance * 0.7, distance * 0.7)), target);
+    };
+
+    // Walking drops the camera to street level where the orbit target was, facing the same way
+    view.setWalking = (walking) => {
+      if (walking === view.walking) return;
+      view.walking = walking;
+      view.flight = null;
+      view.walk.keys.clear();
+      controls.enabled = !walking;
+      const direction = camera.getWorldDirection(new THREE.Vector3());
+      if (walking) {
+        view.walk.yaw = Math.atan2(-direction.x, -direction.z);
+        view.walk.pitch = 0;
+        camera.position.set(controls.target.x, WALK_EYE_HEIGHT_3D, controls.target.z);
+      } else {
+        direction.y = 0;
+        direction.normalize();
+        const target = camera.position.clone().addScaledVector(direction, 60).setY(0);
+        controls.target.copy(target);
+        camera.position.copy(target).add(new THREE.Vector3(-direction.x * 80, 80, -direction.z * 80));
+      }
+    };
+
+    // Render only the pixel under the pointer into a 1x1 target and read back its id
+    const pickSquare = (clientX, clientY) => {
+      const rect = renderer.domElement.getBoundingClientRect();
+      camera.setViewOffset(rect.width, rect.height, clientX - rect.left, clientY - rect.top, 1, 1);
+      renderer.setRenderTarget(pickingTarget);
+      renderer.render(pickingScene, camera);
+      renderer.setRenderTarget(null);
+      camera.clearViewOffset();
+      renderer.readRenderTargetPixels(pickingTarget, 0, 0, 1, 1, pickingPixel);
+      const id = decodePickId(pickingPixel);
+      return id > 0 && view.layout ? view.layout.squares[id - 1] : null;
+    };
+
+    // Clicks that end a drag are camera moves, not picks. While walking, dragging looks around.
+    let pointerDown = null;
+    const handlePointerDown = (e) => {
+      mount.focus({ preventScroll: true });
+      pointerDown = { x: e.clientX, y: e.clientY, lastX: e.clientX, lastY: e.clientY, moved: false };
+    };
+    const handlePointerMove = (e) => {
+      if (!pointerDown) return;
+      if (Math.hypot(e.clientX - pointerDown.x, e.clientY - pointerDown.y) > 5) pointerDown.moved = true;
+      if (view.walking) {
+        view.walk.yaw -= (e.clientX - pointerDown.lastX) * 0.004;
+        view.walk.pitch = Math.max(-1.2, Math.min(1.2, view.walk.pitch - (e.clientY - pointerDown.lastY) * 0.004));
+      }
+      pointerDown.lastX = e.clientX;
+      pointerDown.lastY = e.clientY;
+    };
+    const handlePointerUp = () => {
+      if (pointerDown && !pointerDown.moved) pointerDown.tap = true;
+      else pointerDown = null;
+    };
+    const handleClick = (e) => {
+      const tapped = pointerDown?.tap;
+      pointerDown = null;
+      if (!tapped) return;
+      const square = pickSquare(e.clientX, e.clientY);
+      const parcel = square && view.claims?.get(square.index);
+      if (parcel && onParcelClickRef.current) onParcelClickRef.current(parcel.id);
+    };
+
+    // WASD walks (Shift runs); arrows pan, +/- zoom and Home resets the orbit view.
+    // Keys only reach these handlers while the viewer itself has focus.
+    const heldKeys = new Set(); // Walk keys held on the keyboard, as opposed to the on-screen pad
+    const handleKeyDown = (e) => {
+      const key = e.key.toLowerCase();
+      if (view.walking) {
+        if (WALK_KEYS[key]) {
+          e.preventDefault();
+          heldKeys.add(WALK_KEYS[key]);
+          view.walk.keys.add(WALK_KEYS[key]);
+        }
+        view.walk.running = e.shiftKey;
+        return;
+      }
+      if (PAN_KEYS[key]) {
+        e.preventDefault();
+        const [across, ahead] = PAN_KEYS[key];
+        const step = camera.position.distanceTo(controls.target) * 0.05;
+        // Looking straight down has no heading on the ground, so pan as if facing north
+        const heading = camera.getWorldDirection(new THREE.Vector3()).setY(0);
+        if (heading.lengthSq() < 1e-6) heading.set(0, 0, -1);
+        heading.normalize();
+        const offset = new THREE.Vector3(-heading.z, 0, heading.x).multiplyScalar(across * step);
+        offset.addScaledVector(heading, ahead * step);
+        view.flight = null;
+        camera.position.add(offset);
+        controls.target.add(offset);
+      } else if (key === '+' || key === '=' || key === '-') {
+        e.preventDefault();
+        const scale = key === '-' ? 1.25 : 0.8;
+        const offset = camera.position.clone().sub(controls.target).multiplyScalar(scale);
+        if (offset.length() >= controls.minDistance && offset.length() <= controls.maxDistance) {
+          view.flyTo(controls.target.clone().add(offset), controls.target.clone());
+        }
+      } else if (key === 'home' && view.home) {
+        e.preventDefault();
+        view.flyTo(view.home.position.clone(), view.home.target.clone());
+      }
+    };
+    const handleKeyUp = (e) => {
+      const key = e.key.toLowerCase();
+      if (WALK_KEYS[key]) {
+        heldKeys.delete(WALK_KEYS[key]);
+        view.walk.keys.delete(WALK_KEYS[key]);
+      }
+      view.walk.running = e.shiftKey;
+    };
+    // Keys released elsewhere never send keyup here, so stop walking on the way out
+    const handleBlur = () => {
+      heldKeys.forEach((direction) => view.walk.keys.delete(direction));
+      heldKeys.clear();
+      view.walk.running = false;
+    };
+
+    renderer.domElement.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    renderer.domElement.addEventListener('click', handleClick);
+    mount.addEventListener('keydown', handleKeyDown);
+    mount.addEventListener('keyup', handleKeyUp);
+    mount.addEventListener('blur', handleBlur);
+
+    let animationId;
+    let lastFrame = performance.now();
+    let lastAtlasUpload = 0;
+    const forward = new THREE.Vector3();
+    const right = new THREE.Vector3();
+    const animate = (now) => {
+      animationId = requestAnimationFrame(animate);
+      const delta = Math.min(0.1, (now - lastFrame) / 1000);
+      lastFrame = now;
+
+      // Thumbnails arrive one by one; re-uploading the whole atlas for each would stall
+      if (view.atlas?.dirty && now - lastAtlasUpload > ATLAS_UPLOAD_INTERVAL) {
+        view.atlas.texture.needsUpdate = true;
+        view.atlas.dirty = false;
+        lastAtlasUpload = now;
+      }
+
+      if (view.flight) {
+        const t = Math.min(1, (now - view.flight.start) / FLIGHT_DURATION_3D);
+        const eased = t * t * (3 - 2 * t);
+        camera.position.lerpVectors(view.flight.fromPosition, view.flight.position, eased);
+        controls.target.lerpVectors(view.flight.fromTarget, view.flight.target, eased);
+        if (t === 1) view.flight = null;
+      }
+
+      if (view.walking) {
+        const { yaw, pitch, keys } = view.walk;
+        forward.set(-Math.sin(yaw), 0, -Math.cos(yaw));
+        right.set(-forward.z, 0, forward.x);
+        const step = WALK_SPEED_3D * (view.walk.running ? 3 : 1) * delta;
+        if (keys.has('forward')) camera.position.addScaledVector(forward, step);
+        if (keys.has('back')) camera.position.addScaledVector(forward, -step);
+        if (keys.has('right')) camera.position.addScaledVector(right, step);
+        if (keys.has('left')) camera.position.addScaledVector(right, -step);
+        if (keys.has('turnLeft')) view.walk.yaw += 1.5 * delta;
+        if (keys.has('turnRight')) view.walk.yaw -= 1.5 * delta;
+        camera.rotation.set(pitch, view.walk.yaw, 0, 'YXZ');
+      } else {
+        controls.update();
+      }
+
+      // Distant chunks lose their portals, then their specular shading
+      view.chunks.forEach((chunk) => {
+        const distance = camera.position.distanceTo(chunk.center);
+        chunk.portals.visible = distance < PORTAL_DISTANCE_3D;
+        chunk.buildings.material = distance < DETAIL_DISTANCE_3D ? resources.detailMaterial : resources.farMaterial;
+      });
+      renderer.render(scene, camera);
+    };
+    animationId = requestAnimationFrame(animate);
+
+    const handleResize = () => {
+      camera.aspect = mount.clientWidth / mount.clientHeight;
+      camera.updateProjectionMatrix();
+      renderer.setSize(mount.clientWidth, mount.clientHeight);
+    };
+    window.addEventListener('resize', handleResize);
+
+    // Render one frame at the requested size for a PNG, then put the canvas back.
+    // The bitmap is copied when toBlob is called, before the canvas is resized.
+    view.snapshot = ({ width, height }) => {
+      const pixelRatio = renderer.getPixelRatio();
+      renderer.setPixelRatio(1);
+      renderer.setSize(width, height, false);
+      const { drawingBufferWidth, drawingBufferHeight } = renderer.getContext();
+      let snapshot = null;
+      if (drawingBufferWidth === width && drawingBufferHeight === height) {
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.render(scene, camera);
+        snapshot = new Promise((resolve) => renderer.domElement.toBlob(resolve, 'image/png'));
+      }
+      renderer.setPixelRatio(pixelRatio);
+      handleResize();
+      renderer.render(scene, camera);
+      return snapshot || Promise.reject(new Error(`This device can't render a ${width} × ${height} snapshot`));
+    };
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      renderer.domElement.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      renderer.domElement.removeEventListener('click', handleClick);
+      mount.removeEventListener('keydown', handleKeyDown);
+      mount.removeEventListener('keyup', handleKeyUp);
+      mount.removeEventListener('blur', handleBlur);
+      cancelAnimationFrame(animationId);
+      controls.dispose();
+      disposeChunks(view);
+      Object.values(resources).forEach((resource) => resource.dispose());
+      ground.geometry.dispose();
+      ground.material.dispose();
+      pickingTarget.dispose();
+      renderer.dispose();
+      mount.removeChild(renderer.domElement);
+      viewRef.current = null;
+    };
+  }, []);
+
+  // Instances are only rebuilt when the layout itself changes
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    disposeChunks(view);
+    view.layout = layout;
+    view.chunks = buildChunks(layout, view.resources);
+    view.chunks.forEach((chunk) => {
+      view.scene.add(chunk.buildings, chunk.portals);
+      view.pickingScene.add(chunk.picking);
+    });
+
+    // Zoom limits, draw distance and the starting view all scale with the district
+    const extent = Math.max(layout.width, layout.height) * CELL_SIZE_3D;
+    view.ground.scale.set(Math.max(500, extent * 3), Math.max(500, extent * 3), 1);
+    view.controls.minDistance = 10;
+    view.controls.maxDistance = extent * 2 + 200;
+    view.camera.far = extent * 4 + 2000;
+    view.camera.updateProjectionMatrix();
+    view.home = {
+      position: new THREE.Vector3(0, extent * 0.6 + 50, extent * 0.8 + 80),
+      target: new THREE.Vector3(0, 0, 0),
+    };
+    view.camera.position.copy(view.home.position);
+    view.controls.target.copy(view.home.target);
+    view.flight = null;
+    view.flownTo = null;
+  }, [layout]);
+
+  // Owner and children mappings and textures need every parcel's details, loaded once
+  // the first time one of them is picked
+  useEffect(() => {
+    if (!needsDetails || parcelDetails) return;
+    let cancelled = false;
+    fetch(`/api/bitmap/${bitmapNumber}/claims?inscription=${encodeURIComponent(inscriptionId)}&details=1`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load parcel details');
+        const details = new Map(data.squares.filter((square) => square.parcel).map(({ parcel }) => [parcel.id, parcel]));
+        if (!cancelled) setParcelDetails(details);
+      })
+      .catch((err) => !cancelled && setDetailsError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [needsDetails, parcelDetails, bitmapNumber, inscriptionId]);
+
+  // Each parcel's newest image (or HTML snapshot) child is loaded into the atlas
+  // through the ordinals proxy, a few at a time
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view || !parcelDetails || !showTextures) return;
+    const previews = [...parcelDetails.values()].filter((details) => details.preview);
+    const atlas = createAtlas(previews.length);
+    const geometry = new THREE.PlaneGeometry(1, 1);
+    geometry.setAttribute('atlasRect', new THREE.InstancedBufferAttribute(new Float32Array(atlas.capacity * 4), 4));
+    const roofs = new THREE.InstancedMesh(geometry, atlas.roofMaterial, atlas.capacity);
+    roofs.count = 0;
+    roofs.frustumCulled = false;
+    view.scene.add(roofs);
+    view.atlas = atlas;
+    view.roofs = roofs;
+
+    let cancelled = false;
+    const queue = previews.slice(0, atlas.capacity);
+    let next = 0;
+    const worker = async () => {
+      while (!cancelled && next < queue.length) {
+        const slot = next++;
+        const thumbnail = await loadChildThumbnail(queue[slot].preview, ATLAS_TILE_3D);
+        if (cancelled) return;
+        addToAtlas(atlas, queue[slot].id, slot, thumbnail);
+        setThumbnailsLoaded((loaded) => loaded + 1);
+      }
+    };
+    Array.from({ length: Math.min(THUMBNAIL_CONCURRENCY, queue.length) }, worker);
+
+    return () => {
+      cancelled = true;
+      view.scene.remove(roofs);
+      roofs.dispose();
+      geometry.dispose();
+      atlas.roofMaterial.dispose();
+      atlas.billboardMaterial.dispose();
+      atlas.texture.dispose();
+      view.atlas = null;
+      view.roofs = null;
+    };
+  }, [parcelDetails, showTextures]);
+
+  // Mappings, claims and the highlighted parcel only rewrite instance buffers
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view || view.layout !== layout) return;
+    view.claims = claims;
+    paintChunks(view.chunks, layout, claims, highlightedParcelId, { heightMode, colorMode, details: parcelDetails });
+  }, [layout, claims, highlightedParcelId, heightMode, colorMode, parcelDetails]);
+
+  // Roofs sit on the heights painted above; a thumbnail landing only repaints the roofs
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view?.roofs || view.layout !== layout) return;
+    paintRoofs(view.roofs, view.atlas, view.chunks, layout, claims, textureMode === 'billboard');
+  }, [layout, claims, heightMode, parcelDetails, textureMode, thumbnailsLoaded]);
+
+  // Selecting a parcel flies the camera to its square, once per selection
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view || view.layout !== layout || !highlightedParcelId || view.flownTo === highlightedParcelId) return;
+    const square = layout.squares.find((s) => claims.get(s.index)?.id === highlightedParcelId);
+    if (!square) return;
+    view.flownTo = highlightedParcelId;
+    view.flyToSquare(square);
+  }, [layout, claims, highlightedParcelId]);
+
+  // The toggle button takes focus when clicked; hand it back so the keys walk right away
+  useEffect(() => {
+    viewRef.current?.setWalking(walkMode);
+    if (walkMode) mountRef.current?.focus({ preventScroll: true });
+  }, [walkMode]);
+
+  const exportScene = async (format) => {
+    const view = viewRef.current;
+    if (!view?.layout) return;
+    setExporting(format);
+    setExportError('');
+    try {
+      const data = format === 'png' ? await view.snapshot(SNAPSHOT_SIZES_3D[snapshotSize]) : await exportDistrict(view, format);
+      const { type } = EXPORT_FORMATS_3D.find((option) => option.format === format);
+      downloadBlob(new Blob([data], { type }), `${bitmapNumber}-bitmap-district.${format}`);
+    } catch (e) {
+      setExportError(e.message || 'Export failed');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // On-screen walk buttons for touch screens press the same keys as the keyboard
+  const holdWalkKey = (key) => ({
+    onPointerDown: () => viewRef.current?.walk.keys.add(key),
+    onPointerUp: () => viewRef.current?.walk.keys.delete(key),
+    onPointerLeave: () => viewRef.current?.walk.keys.delete(key),
+  });
+
+  return (
+    <div className="relative w-full h-full">
+      <div
+        ref={mountRef}
+        tabIndex={0}
+        aria-label="3D district view"
+        className="w-full h-full bg-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-orange-400"
+        style={{ cursor: walkMode ? 'crosshair' : 'grab' }}
+      />
+      <div className="absolute top-4 left-4 flex gap-2">
+        <button
+          onClick={() => setWalkMode(!walkMode)}
+          className="bg-gray-900/80 text-orange-300 border border-orange-600 px-3 py-2 rounded-lg text-sm font-semibold hover:bg-gray-800"
+        >
+          {walkMode ? 'Orbit view' : 'Walk the streets'}
+        </button>
+        {!walkMode && (
+          <button
+            onClick={() => {
+              const view = viewRef.current;
+              if (view?.home) view.flyTo(view.home.position.clone(), view.home.target.clone());
+            }}
+            className="bg-gray-900/80 text-orange-300 border border-orange-600 px-3 py-2 rounded-lg text-sm font-semibold hover:bg-gray-800"
+          >
+            Reset view
+          </button>
+        )}
+      </div>
+      <div className="absolute top-16 left-4 w-64 max-h-[50vh] overflow-y-auto bg-gray-900/80 border border-orange-600 rounded-lg p-3 space-y-2 text-xs">
+        <label className="flex items-center justify-between gap-2 text-orange-300">
+          Height
+          <select
+            value={heightMode}
+            onChange={(e) => setHeightMode(e.target.value)}
+            className="bg-gray-800 border border-orange-600 rounded px-1 py-0.5 text-white"
+          >
+            {Object.entries(HEIGHT_MODES_3D).map(([mode, { label }]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2 text-orange-300">
+          Color
+          <select
+            value={colorMode}
+            onChange={(e) => setColorMode(e.target.value)}
+            className="bg-gray-800 border border-orange-600 rounded px-1 py-0.5 text-white"
+          >
+            {Object.entries(COLOR_MODES_3D).map(([mode, { label }]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2 text-orange-300">
+          Children
+          <select
+            value={textureMode}
+            onChange={(e) => setTextureMode(e.target.value)}
+            className="bg-gray-800 border border-orange-600 rounded px-1 py-0.5 text-white"
+          >
+            <option value="off">Hidden</option>
+            <option value="rooftop">On rooftops</option>
+            <option value="billboard">As billboards</option>
+          </select>
+        </label>
+        {needsDetails && !parcelDetails && !detailsError && (
+          <p className="flex items-center gap-2 text-orange-300">
+            <Loader2 className="animate-spin" size={14} /> Loading parcel owners and children...
+          </p>
+        )}
+        {detailsError && <p className="text-red-400 break-words">{detailsError}</p>}
+        <div className="space-y-1 text-gray-300">
+          {COLOR_MODES_3D[colorMode].legend(parcelDetails ? [...parcelDetails.values()] : []).map(({ label, color }) => (
+            <span key={label} className="flex items-center gap-2">
+              <span className="inline-block w-3 h-3 rounded-sm border border-gray-600" style={{ backgroundColor: color }} />
+              {label}
+            </span>
+          ))}
+          {highlightedParcelId && (
+            <span className="flex items-center gap-2">
+              <span className="inline-block w-3 h-3 rounded-sm border border-gray-600" style={{ backgroundColor: HIGHLIGHT_COLOR }} />
+              Selected parcel
+            </span>
+          )}
+        </div>
+        <div className="pt-2 border-t border-orange-900 space-y-2">
+          <label className="flex items-center justify-between gap-2 text-orange-300">
+            Snapshot
+            <select
+              value={snapshotSize}
+              onChange={(e) => setSnapshotSize(e.target.value)}
+              className="bg-gray-800 border border-orange-600 rounded px-1 py-0.5 text-white"
+            >
+              {Object.entries(SNAPSHOT_SIZES_3D).map(([size, { label }]) => (
+                <option key={size} value={size}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <div className="grid grid-cols-4 gap-1">
+            {EXPORT_FORMATS_3D.map(({ format, label }) => (
+              <button
+                key={format}
+                onClick={() => exportScene(format)}
+                disabled={exporting !== null}
+                title={format === 'stl' ? 'Buildings on a base plate, for 3D printing' : `Download as ${label}`}
+                className="flex items-center justify-center gap-1 bg-gray-800 border border-orange-600 rounded py-1 text-orange-300 hover:bg-gray-700 disabled:opacity-50"
+              >
+                {exporting === format ? <Loader2 className="animate-spin" size={12} /> : <Download size={12} />}
+                {label}
+              </button>
+            ))}
+          </div>
+          {exportError && <p className="text-red-400 break-words">{exportError}</p>}
+        </div>
+      </div>
+      <p className="absolute bottom-4 left-4 right-4 sm:right-auto bg-gray-900/80 text-gray-300 text-xs px-3 py-2 rounded-lg pointer-events-none">
+        {walkMode
+          ? 'WASD or arrows to walk, Q/E to turn, Shift to run, drag to look around'
+          : 'Drag to orbit, right-drag or two fingers to pan, scroll or pinch to zoom, arrows to pan, +/- to zoom, Home to reset. Click a portal to open its parcel.'}
+      </p>
+      {walkMode && (
+        <div className="absolute bottom-16 right-4 grid grid-cols-3 gap-2 select-none">
+          {[
+            ['turnLeft', '⟲', 'col-start-1 row-start-1'],
+            ['forward', '▲', 'col-start-2 row-start-1'],
+            ['turnRight', '⟳', 'col-start-3 row-start-1'],
+            ['left', '◀', 'col-start-1 row-start-2'],
+            ['back', '▼', 'col-start-2 row-start-2'],
+            ['right', '▶', 'col-start-3 row-start-2'],
+          ].map(([key, label, position]) => (
+            <button
+              key={key}
+              {...holdWalkKey(key)}
+              className={`${position} w-12 h-12 bg-gray-900/80 text-orange-300 border border-orange-600 rounded-lg text-lg touch-none`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const formatBtc = (sats) => (sats / 1e8).toFixed(8);
+
+// Clickable Bitmap Grid Component - hit-tests the Mondrian squares themselves
+function ClickableBitmapGrid({ imageDataUrl, layout, claims, highlightedParcelId, onSquareClick }) {
+  const canvasRef = useRef(null);
+  const [hoveredSquare, setHoveredSquare] = useState(null);
+  const squaresRef = useRef([]);
+
+  useEffect(() => {
+    if (!canvasRef.current || !imageDataUrl || !layout) return;
+
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const img = new Image();
+
+    img.onload = () => {
+      canvas.width = img.width;
+      canvas.height = img.height;
+      ctx.drawImage(img, 0, 0);
+
+      // Hit boxes are the squares exactly as generateVisualization drew them
+      const { cellSize, padding } = layout;
+      squaresRef.current = layout.squares.map((square) => ({
+        index: square.index,
+        txid: square.txid,
+        x: square.x * cellSize + padding / 2,
+        y: square.y * cellSize + padding / 2,
+        width: square.size * cellSize - padding,
+        height: square.size * cellSize - padding,
+        tx: square.tx,
+        parcel: claims.get(square.index) || null
+      }));
+
+      // Dim unclaimed squares and outline claimed ones, brightest for the highlighted parcel
+      if (claims.size > 0) {
+        squaresRef.current.forEach((square) => {
+          if (!square.parcel) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.fillRect(square.x, square.y, square.width, square.height);
+            return;
+          }
+          const highlighted = square.parcel.id === highlightedParcelId;
+          ctx.strokeStyle = highlighted ? '#ffffff' : '#4ade80';
+          ctx.lineWidth = highlighted ? 4 : 2;
+          ctx.strokeRect(square.x + 1, square.y + 1, square.width - 2, square.height - 2);
+        });
+      }
+    };
+
+    img.src = imageDataUrl;
+  }, [imageDataUrl, layout, claims, highlightedParcelId]);
+
+  const getSquareAtPosition = (clientX, clientY) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return null;
+
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = canvas.width / rect.width;
+    const scaleY = canvas.height / rect.height;
+    const x = (clientX - rect.left) * scaleX;
+    const y = (clientY - rect.top) * scaleY;
+
+    return squaresRef.current.find(sq =>
+      x >= sq.x && x <= sq.x + sq.width &&
+      y >= sq.y && y <= sq.y + sq.height
+    );
+  };
+
+  const handleMouseMove = (e) => {
+    const square = getSquareAtPosition(e.clientX, e.clientY);
+    setHoveredSquare(square || null);
+  };
+
+  // A tap on touch screens arrives as a click too, so taps open the drawer without a hover first
+  const handleClick = (e) => {
+    const square = getSquareAtPosition(e.clientX, e.clientY);
+    if (square) onSquareClick(square.index);
+  };
+
+  const tx = hoveredSquare?.tx;
+  return (
+    <div className="relative">
+      <canvas
+        ref={canvasRef}
+        onClick={handleClick}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHoveredSquare(null)}
+        className="w-full h-auto cursor-pointer"
+        style={{
+          opacity: hoveredSquare ? 0.9 : 1,
+          transition: 'opacity 0.2s'
+        }}
+      />
+      {hoveredSquare && (
+        <div className="absolute top-2 left-2 bg-black bg-opacity-80 text-white px-3 py-2 rounded-lg border-2 border-orange-500 pointer-events-none">
+          <p className="text-sm font-semibold">
+            Tx #{hoveredSquare.index}
+            {hoveredSquare.parcel ? ` • 🟢 ${hoveredSquare.parcel.parcelName}` : claims.size > 0 && ' • Unclaimed'}
+          </p>
+          <p className="text-xs font-mono text-gray-300">{tx.txid}</p>
+          <p className="text-xs">
+            {tx.vsize.toLocaleString()} vB • fee {tx.fee.toLocaleString()} sats ({(tx.fee / tx.vsize).toFixed(1)} sat/vB)
+          </p>
+          <p className="text-xs">Value {formatBtc(tx.value)} BTC</p>
+          <p className="text-xs">{tx.inputCount} inputs • {tx.outputCount} outputs</p>
+          <p className="text-xs text-orange-300">Click for details</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Slide-over with a transaction's inputs, outputs and the inscriptions it revealed
+function TxDrawer({ square, parcel, onClose, onOpenParcel }) {
+  const [detail, setDetail] = useState(null);
+  const [detailError, setDetailError] = useState('');
+  const { tx } = square;
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchTransaction(tx.txid)
+      .then((data) => !cancelled && setDetail(data))
+      .catch((err) => !cancelled && setDetailError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [tx.txid]);
+
+  const addressLabel = (address) => (address ? `${address.slice(0, 10)}...${address.slice(-6)}` : 'Unknown');
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black bg-opacity-60" onClick={onClose}>
+      <div
+        className="w-full max-w-lg h-full overflow-y-auto bg-gray-900 border-l-2 border-orange-600 p-6 space-y-5"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold text-white">Transaction #{square.index}</h2>
+          <button onClick={onClose} className="text-orange-300 hover:text-orange-100 font-semibold">
+            Close
+          </button>
+        </div>
+        <div>
+          <p className="text-xs font-mono text-gray-300 break-all">{tx.txid}</p>
+          <a
+            href={`https://mempool.space/tx/${tx.txid}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-xs text-orange-400 hover:text-orange-300 font-semibold"
+          >
+            View on mempool.space &rarr;
+          </a>
+        </div>
+        <div className="grid grid-cols-2 gap-3 text-sm">
+          <div className="bg-gray-800 rounded-lg p-3">
+            <p className="text-orange-300 text-xs">Virtual size</p>
+            <p className="text-white">{tx.vsize.toLocaleString()} vB</p>
+          </div>
+          <div className="bg-gray-800 rounded-lg p-3">
+            <p className="text-orange-300 text-xs">Fee</p>
+            <p className="text-white">
+              {tx.fee.toLocaleString()} sats ({(tx.fee / tx.vsize).toFixed(1)} sat/vB)
+            </p>
+          </div>
+          <div className="bg-gray-800 rounded-lg p-3">
+            <p className="text-orange-300 text-xs">Output value</p>
+            <p className="text-white">{formatBtc(tx.value)} BTC</p>
+          </div>
+          <div className="bg-gray-800 rounded-lg p-3">
+            <p className="text-orange-300 text-xs">Inputs / outputs</p>
+            <p className="text-white">
+              {tx.inputCount} / {tx.outputCount}
+            </p>
+          </div>
+        </div>
+        {parcel && (
+          <button
+            onClick={() => onOpenParcel(parcel.id)}
+            className="w-full bg-orange-600 text-white rounded-lg px-4 py-2 font-semibold hover:bg-orange-500 transition-colors"
+          >
+            Open parcel {parcel.parcelName}
+          </button>
+        )}
+        {detailError && <p className="text-red-400 text-sm break-words">{detailError}</p>}
+        {!detail && !detailError && <Loader2 className="animate-spin text-orange-400" size={24} />}
+        {detail && (
+          <>
+            <div>
+              <h3 className="text-sm font-semibold text-orange-300 mb-2">Inscriptions ({detail.inscriptions.length})</h3>
+              {detail.inscriptions.length === 0 ? (
+                <p className="text-xs text-gray-400">This transaction revealed no inscriptions</p>
+              ) : (
+                <ul className="space-y-1">
+                  {detail.inscriptions.map((id) => (
+                    <li key={id}>
+                      <a
+                        href={`https://ordinals.com/inscription/${id}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-xs font-mono text-orange-400 hover:text-orange-300 break-all"
+                      >
+                        {id}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div>
+              <h3 className="text-sm font-semibold text-orange-300 mb-2">Inputs ({detail.inputs.length})</h3>
+              <ul className="space-y-1 text-xs">
+                {detail.inputs.map((input, i) => (
+                  <li key={i} className="flex justify-between gap-3 bg-gray-800 rounded px-2 py-1">
+                    <span className="font-mono text-gray-300" title={input.address || ''}>
+                      {tx.coinbase ? 'Coinbase' : addressLabel(input.address)}
+                    </span>
+                    <span className="text-white">{input.value !== null ? `${formatBtc(input.value)} BTC` : ''}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div>
+              <h3 className="text-sm font-semibold text-orange-300 mb-2">Outputs ({detail.outputs.length})</h3>
+              <ul className="space-y-1 text-xs">
+                {detail.outputs.map((output) => (
+                  <li key={output.index} className="flex justify-between gap-3 bg-gray-800 rounded px-2 py-1">
+                    <span className="font-mono text-gray-300" title={output.address || ''}>
+                      #{output.index} {output.address ? addressLabel(output.address) : output.scriptType || 'Non-standard'}
+                    </span>
+                    <span className="text-white">{formatBtc(output.value)} BTC</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Runs the bitmap validity checks for the resolved inscription, or one pasted in by the user
+function VerificationPanel({ bitmapNumber, inscriptionId }) {
+  const [report, setReport] = useState(null);
+  const [candidateId, setCandidateId] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const [verifyError, setVerifyError] = useState('');
+
+  const verify = async (id) => {
+    setVerifying(true);
+    setVerifyError('');
+    setReport(null);
+    try {
+      const query = id ? `?inscription=${encodeURIComponent(id)}` : '';
+      const response = await fetch(`/api/bitmap/${bitmapNumber}/verify${query}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Verification failed');
+      setReport(data);
+    } catch (err) {
+      setVerifyError(err.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border border-orange-700 mb-6">
+      <div className="flex items-center gap-3 mb-4">
+        <ShieldCheck className="text-orange-400" size={28} />
+        <h2 className="text-2xl font-bold text-white">Verify Authenticity</h2>
+      </div>
+      <div className="flex flex-col sm:flex-row gap-3 mb-4">
+        <input
+          type="text"
+          value={candidateId}
+          onChange={(e) => setCandidateId(e.target.value.trim())}
+          placeholder={`Inscription ID to check (defaults to ${inscriptionId.slice(0, 8)}...)`}
+          className="flex-1 px-4 py-2 bg-gray-800 border border-orange-600 rounded-lg focus:border-orange-400 focus:outline-none text-white text-sm font-mono placeholder-orange-300"
+        />
+        <button
+          onClick={() => verify(candidateId || null)}
+          disabled={verifying}
+          className="px-6 py-2 bg-orange-600 text-white rounded-lg font-semibold hover:bg-orange-500 disabled:bg-gray-600 transition-colors flex items-center justify-center gap-2"
+        >
+          {verifying ? <Loader2 className="animate-spin" size={18} /> : <ShieldCheck size={18} />}
+          Verify
+        </button>
+      </div>
+      {verifyError && <p className="text-red-400 text-sm">{verifyError}</p>}
+      {report && (
+        <div className="space-y-4">
+          <div
+            className={`flex items-center gap-2 font-semibold ${
+              !report.valid ? 'text-red-400' : report.confirmed ? 'text-green-400' : 'text-orange-300'
+            }`}
+          >
+            {!report.valid ? <ShieldAlert size={20} /> : report.confirmed ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+            <span>
+              {!report.valid ? 'Not valid' : report.confirmed ? 'Valid' : 'Unconfirmed'}: {report.bitmapNumber}.bitmap
+              {report.inscriptionNumber !== null && ` (inscription #${report.inscriptionNumber})`}
+            </span>
+          </div>
+          <p className="text-xs font-mono text-gray-400 break-all">{report.inscriptionId}</p>
+          <ul className="space-y-2">
+            {report.checks.map((check) => (
+              <li key={check.id} className="flex items-start gap-2 text-sm">
+                {check.passed === null ? (
+                  <AlertCircle className="text-gray-400 flex-shrink-0 mt-0.5" size={16} />
+                ) : check.passed ? (
+                  <CheckCircle className="text-green-400 flex-shrink-0 mt-0.5" size={16} />
+                ) : (
+                  <AlertCircle className="text-red-400 flex-shrink-0 mt-0.5" size={16} />
+                )}
+                <div>
+                  <p className="text-white">{check.label}</p>
+                  {check.detail && <p className="text-xs text-orange-300 break-all">{check.detail}</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+          <div>
+            <h3 className="text-sm font-semibold text-orange-300 mb-2">
+              Invalid duplicates on-chain ({report.duplicates.length})
+            </h3>
+            {report.duplicates.length === 0 ? (
+              <p className="text-xs text-gray-400">No look-alike inscriptions found on this bitmap&apos;s sat</p>
+            ) : (
+              <ul className="space-y-2 max-h-64 overflow-y-auto">
+                {report.duplicates.map((duplicate) => (
+                  <li key={duplicate.inscriptionId} className="bg-gray-800 rounded-lg p-3 border border-red-800">
+                    <p className="text-xs font-mono text-white break-all">{duplicate.inscriptionId}</p>
+                    <p className="text-xs text-red-300">{duplicate.reason}</p>
+                    <p className="text-xs text-gray-400">
+                      Sat {duplicate.sat}, position {duplicate.satIndex}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// District view: every transaction of the block, whether a parcel claims it, and which parcels are still open
+function ClaimMapPanel({ bitmapNumber, inscriptionId, onOpenParcel }) {
+  const [claimMap, setClaimMap] = useState(null);
+  const [claimError, setClaimError] = useState('');
+  const [availableOnly, setAvailableOnly] = useState(false);
+  const query = `?inscription=${encodeURIComponent(inscriptionId)}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/bitmap/${bitmapNumber}/claims${query}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load parcel claims');
+        if (!cancelled) setClaimMap(data);
+      })
+      .catch((err) => !cancelled && setClaimError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [bitmapNumber, query]);
+
+  const squares = claimMap ? claimMap.squares.filter((square) => !availableOnly || !square.parcel) : [];
+
+  return (
+    <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border border-orange-700 space-y-6">
+      <div className="flex items-center gap-3">
+        <Grid3x3 className="text-orange-400" size={28} />
+        <h2 className="text-2xl font-bold text-white">Parcel Claims</h2>
+        {!claimMap && !claimError && <Loader2 className="animate-spin text-orange-400" size={20} />}
+        {claimMap && (
+          <a
+            href={`/api/bitmap/${bitmapNumber}/claims${query}&format=txt`}
+            download
+            className="ml-auto bg-orange-600 text-white rounded-lg px-4 py-2 text-sm font-semibold hover:bg-orange-500 transition-colors flex items-center gap-2"
+          >
+            <Download size={16} /> Available parcels (.txt)
+          </a>
+        )}
+      </div>
+      {claimError && <p className="text-red-400 text-sm break-words">{claimError}</p>}
+      {claimMap && (
+        <>
+          <div className="grid grid-cols-3 gap-3 text-center">
+            <div className="bg-gray-800 rounded-lg p-3">
+              <p className="text-orange-300 text-xs">Transactions</p>
+              <p className="text-white text-lg font-semibold">{claimMap.transactions.toLocaleString()}</p>
+            </div>
+            <div className="bg-gray-800 rounded-lg p-3">
+              <p className="text-green-300 text-xs">Claimed</p>
+              <p className="text-white text-lg font-semibold">{claimMap.claimed.toLocaleString()}</p>
+            </div>
+            <div className="bg-gray-800 rounded-lg p-3">
+              <p className="text-orange-300 text-xs">Available</p>
+              <p className="text-white text-lg font-semibold">{claimMap.available.length.toLocaleString()}</p>
+            </div>
+          </div>
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-4 text-xs text-gray-300">
+              <span className="flex items-center gap-1">
+                <span className="inline-block w-3 h-3 rounded-sm bg-green-500" /> Claimed - click to open the parcel
+              </span>
+              <span className="flex items-center gap-1">
+                <span className="inline-block w-3 h-3 rounded-sm bg-gray-700" /> Available
+              </span>
+              <label className="ml-auto flex items-center gap-2 text-orange-300">
+                <input type="checkbox" checked={availableOnly} onChange={(e) => setAvailableOnly(e.target.checked)} />
+                Available only
+              </label>
+            </div>
+            <div className="flex flex-wrap gap-1 max-h-96 overflow-y-auto">
+              {squares.map((square) => (
+                <button
+                  key={square.txIndex}
+                  onClick={() => square.parcel && onOpenParcel(square.parcel.id)}
+                  disabled={!square.parcel}
+                  title={square.parcel ? `${square.parcel.parcelName} (child #${square.parcel.childNumber})` : `${square.txIndex}.${bitmapNumber}.bitmap is available`}
+                  className={`min-w-10 px-1 py-0.5 rounded text-[10px] font-mono ${square.parcel
+                    ? 'bg-green-600 text-white hover:bg-green-500'
+                    : 'bg-gray-700 text-gray-300 cursor-default'
+                    }`}
+                >
+                  {square.txIndex}
+                </button>
+              ))}
+            </div>
+          </div>
+          {claimMap.duplicates.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-red-300 mb-2">
+                Duplicate claims ({claimMap.duplicates.length}) - the first parcel inscribed for an index wins
+              </h3>
+              <ul className="space-y-1 text-xs">
+                {claimMap.duplicates.map((duplicate) => (
+                  <li key={duplicate.id} className="bg-gray-800 rounded px-2 py-1">
+                    <span className="text-white">{duplicate.parcelName}</span>
+                    <span className="text-gray-400"> (child #{duplicate.childNumber}) </span>
+                    <span className="font-mono text-gray-400">{duplicate.id.slice(0, 8)}...</span>
+                    <span className="text-red-300"> - tx #{duplicate.txIndex} is held by </span>
+                    <button onClick={() => onOpenParcel(duplicate.claimedBy)} className="font-mono text-orange-400 hover:text-orange-300">
+                      {duplicate.claimedBy.slice(0, 8)}...
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {claimMap.invalid.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-red-300 mb-2">Invalid parcels ({claimMap.invalid.length})</h3>
+              <ul className="space-y-1 text-xs">
+                {claimMap.invalid.map((parcel) => (
+                  <li key={parcel.id} className="bg-gray-800 rounded px-2 py-1">
+                    <span className="text-white">{parcel.parcelName}</span>
+                    <span className="font-mono text-gray-400"> {parcel.id.slice(0, 8)}... </span>
+                    <span className="text-red-300">{parcel.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <p className="text-xs text-gray-400">Checked {new Date(claimMap.checkedAt).toLocaleString()}</p>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Parse the explorer routes: /, /bitmap/[number], /bitmap/[number]/claims,
+// /bitmap/[number]/parcel/[id], /inscription/[id]
+function parseExplorerPath(pathname) {
+  const claimsMatch = pathname.match(/^\/bitmap\/([^/]+)\/claims\/?$/);
+  if (claimsMatch) return { bitmap: claimsMatch[1], claims: true };
+  const parcelMatch = pathname.match(/^\/bitmap\/([^/]+)\/parcel\/([^/]+)\/?$/);
+  if (parcelMatch) return { bitmap: parcelMatch[1], parcelId: decodeURIComponent(parcelMatch[2]) };
+  const bitmapMatch = pathname.match(/^\/bitmap\/([^/]+)\/?$/);
+  if (bitmapMatch) return { bitmap: bitmapMatch[1] };
+  const inscriptionMatch = pathname.match(/^\/inscription\/([^/]+)\/?$/);
+  if (inscriptionMatch) return { inscriptionId: decodeURIComponent(inscriptionMatch[1]) };
+  return { bitmap: '267651' };
+}
+
+// Main App Component
+export default function BitmapOCIApp() {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  const [bitmapNumber, setBitmapNumber] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [bitmapImage, setBitmapImage] = useState(null);
+  const [bitmapLayout, setBitmapLayout] = useState(null);
+  const [selectedSquare, setSelectedSquare] = useState(null);
+  const [sizeMode, setSizeMode] = useState(DEFAULT_SIZE_MODE);
+  const [colorMode, setColorMode] = useState(DEFAULT_COLOR_MODE);
+  const [parcels, setParcels] = useState([]);
+  const [loadingParcels, setLoadingParcels] = useState(false);
+  const [selectedParcel, setSelectedParcel] = useState(null);
+  const [hoveredParcel, setHoveredParcel] = useState(null);
+  const [parcelChildren, setParcelChildren] = useState([]);
+  const [loadingChildren, setLoadingChildren] = useState(false);
+  const [childrenProgress, setChildrenProgress] = useState({ loaded: 0, done: true }); // Bitmap children paged in so far
+  const childrenRequestRef = useRef(0); // Drops pages from superseded lookups
+  const parcelChildrenRequestRef = useRef(0);
+  const lookupRequestRef = useRef(0); // Drops results of lookups and navigations that were superseded
+  const routeRequestRef = useRef(0);
+  const syncFromRouteRef = useRef(null);
+  const [show3DView, setShow3DView] = useState(false);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const [otherChildren, setOtherChildren] = useState([]);
+  const [selectedChild, setSelectedChild] = useState(null);
+  const [isHomePage, setIsHomePage] = useState(true); // Track if we're on home page (267651)
+
+  // WALLET STATE
+  const activeTab = searchParams.get('tab') === 'link' ? 'link' : 'bitmap';
+  const [btcAddress, setBtcAddress] = useState('');
+  const [adaAddress, setAdaAddress] = useState('');
+  const [btcWallet, setBtcWallet] = useState('');
+  const [cardanoWallet, setCardanoWallet] = useState('');
+  const [btcSignature, setBtcSignature] = useState(''); // Store signature proof
+  const [adaSignature, setAdaSignature] = useState(''); // Store signature proof
+  const [btcMessage, setBtcMessage] = useState(''); // Exact message that was signed
+  const [adaMessage, setAdaMessage] = useState('');
+  const [adaKey, setAdaKey] = useState(''); // COSE_Key returned by signData
+  // Server-issued nonce both wallets sign. A ref, so a second wallet connecting before
+  // the next render still sees the challenge the first one fetched.
+  const challengeRef = useRef(null);
+  const challengeRequestRef = useRef(null);
+  const [discordUsername, setDiscordUsername] = useState('');
+  const [linkages, setLinkages] = useState([]);
+  const [walletError, setWalletError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [checkingHoldings, setCheckingHoldings] = useState(false);
+
+  // Load linkages from the DAO registry
+  const loadLinkages = async () => {
+    try {
+      const response = await fetch('/api/linkages');
+      const data = await response.json();
+      if (response.ok) setLinkages(data.linkages || []);
+    } catch (err) {
+      console.error('Error loading linkages:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadLinkages();
+  }, []);
+
+  // Re-check which linked BTC addresses own the district bitmap, its parcels or children
+  const refreshHoldings = async () => {
+    setCheckingHoldings(true);
+    try {
+      const response = await fetch('/api/linkages/holdings', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        setWalletError(data.error || 'Failed to check holdings');
+        return;
+      }
+      setLinkages(data.linkages);
+    } catch (err) {
+      setWalletError('Failed to check holdings');
+    } finally {
+      setCheckingHoldings(false);
+    }
+  };
+
+  // The URL is the source of truth for which bitmap, parcel or child is shown. Only
+  // navigation triggers a sync, so the effect calls the latest syncFromRoute through a ref.
+  useEffect(() => {
+    syncFromRouteRef.current = syncFromRoute;
+  });
+  useEffect(() => {
+    syncFromRouteRef.current(parseExplorerPath(pathname));
+  }, [pathname]);
+
+  // Both wallets sign the same server-issued challenge; a fresh one invalidates earlier signatures
+  const getChallenge = async () => {
+    const challenge = challengeRef.current;
+    if (challenge && Date.parse(challenge.expiresAt) - Date.now() > 60 * 1000) {
+      return challenge.message;
+    }
+    // Wallets connecting at the same time share one request instead of invalidating each other
+    if (!challengeRequestRef.current) {
+      challengeRequestRef.current = (async () => {
+        const response = await fetch('/api/linkages/challenge', { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to get signing challenge');
+        challengeRef.current = data;
+        setBtcSignature('');
+        setAdaSignature('');
+        setBtcMessage('');
+        setAdaMessage('');
+        setAdaKey('');
+        return data;
+      })().finally(() => {
+        challengeRequestRef.current = null;
+      });
+    }
+    const data = await challengeRequestRef.current;
+    return data.message;
+  };
+
+  // Wallet functions with signature verification
+  const connectXverseWallet = async () => {
+    setWalletError('');
+    setBtcSignature('');
+    try {
+      if (typeof window.BitcoinProvider === 'undefined') {
+        setWalletError('Install Xverse wallet');
+        return;
+      }
+      const result = await window.BitcoinProvider.request('getAccounts', { purposes: ['payment', 'ordinals'] });
+      if (result.result?.length > 0) {
+        const addr = result.result.find(acc => acc.purpose === 'ordinals')?.address || result.result[0].address;
+
+        // Request signature for verification
+        const message = await getChallenge();
+        try {
+          const signResult = await window.BitcoinProvider.request('signMessage', {
+            address: addr,
+            message: message
+          });
+
+          setBtcAddress(addr);
+          setBtcWallet('xverse');
+          setBtcSignature(signResult.result?.signature || signResult.result); // Store signature proof
+          setBtcMessage(message);
+          setSuccess('Xverse connected and verified!');
+        } catch (signErr) {
+          setWalletError('Signature rejected - verification required');
+        }
+      }
+    } catch (err) {
+      setWalletError('Failed to connect Xverse');
+    }
+  };
+
+  const connectUnisatWallet = async () => {
+    setWalletError('');
+    setBtcSignature('');
+    try {
+      if (typeof window.unisat === 'undefined') {
+        setWalletError('Install Unisat wallet');
+        return;
+      }
+      const accounts = await window.unisat.requestAccounts();
+      if (accounts.length > 0) {
+        const addr = accounts[0];
+
+        // Request signature for verification
+        const message = await getChallenge();
+        try {
+          const signature = await window.unisat.signMessage(message);
+
+          setBtcAddress(addr);
+          setBtcWallet('unisat');
+          setBtcSignature(signature); // Store signature proof
+          setBtcMessage(message);
+          setSuccess('Unisat connected and verified!');
+        } catch (signErr) {
+          setWalletError('Signature rejected - verification required');
+        }
+      }
+    } catch (err) {
+      setWalletError('Failed to connect Unisat');
+    }
+  };
+
+  const connectCardanoWallet = async (walletName) => {
+    setWalletError('');
+    setAdaSignature('');
+    try {
+      const wallet = window.cardano?.[walletName];
+      if (!wallet) {
+        setWalletError(`${walletName} not found`);
+        return;
+      }
+      const api = await wallet.enable();
+      const addresses = await api.getUsedAddresses();
+      if (addresses.length > 0) {
+        const addr = addresses[0];
+
+        // Request signature for verification
+        const message = await getChallenge();
+        const messageHex = Buffer.from(message).toString('hex');
+
+        try {
+          const signature = await api.signData(addr, messageHex);
+
+          setAdaAddress(addr);
+          setCardanoWallet(walletName);
+          setAdaSignature(signature.signature); // Store signature proof
+          setAdaKey(signature.key);
+          setAdaMessage(message);
+          setSuccess(`${walletName} connected and verified!`);
+        } catch (signErr) {
+          setWalletError('Signature rejected - verification required');
+        }
+      }
+    } catch (err) {
+      setWalletError('Failed to connect Cardano');
+    }
+  };
+
+  const submitLinkage = async () => {
+    setWalletError('');
+    if (!btcAddress || !adaAddress) {
+      setWalletError('Connect both wallets');
+      return;
+    }
+    if (!btcSignature || !adaSignature) {
+      setWalletError('Both wallets must be verified with signatures');
+      return;
+    }
+
+    // Signatures are checked server-side against the exact signed messages
+    try {
+      const response = await fetch('/api/linkages', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          btcAddress,
+          adaAddress,
+          btcWallet,
+          cardanoWallet,
+          btcMessage,
+          adaMessage,
+          btcSignature,
+          adaSignature,
+          adaKey,
+          nonce: challengeRef.current?.nonce,
+          discordUsername,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        if (data.btcVerified === false) {
+          setWalletError('Bitcoin signature could not be verified');
+        } else if (data.adaVerified === false) {
+          setWalletError('Cardano signature could not be verified');
+        } else {
+          setWalletError(data.error || 'Failed to verify linkage');
+        }
+        return;
+      }
+      // Relinking an address replaces its previous entry in the registry
+      setLinkages(prev => [data.linkage, ...prev.filter(l => !data.replaced?.includes(l.id))]);
+      // The server fills in holdings from its last district scan; scan only if there was none yet
+      if (!data.linkage.holdings) refreshHoldings();
+    } catch (err) {
+      setWalletError('Failed to verify linkage');
+      return;
+    }
+
+    setSuccess('✅ Verified wallets linked successfully!');
+    setTimeout(() => {
+      setBtcAddress('');
+      setAdaAddress('');
+      setBtcWallet('');
+      setCardanoWallet('');
+      setBtcSignature('');
+      setAdaSignature('');
+      setBtcMessage('');
+      setAdaMessage('');
+      setAdaKey('');
+      challengeRef.current = null;
+      setDiscordUsername('');
+      setSuccess('');
+    }, 3000);
+  };
+
+  // Draws the Mondrian and returns it with the layout it was drawn from, so the
+  // 2D grid and 3D viewer can map squares back to their transactions
+  const generateVisualization = (transactions, modes = {}) => {
+    const layout = layoutMondrian(transactions, modes);
+    const padding = 20;
+    const cellSize = layout.width > 0 ? Math.max(500, layout.width * 60) / layout.width : 0;
+    const initialSize = Math.max(500, layout.width * cellSize);
+    const right = layout.squares.reduce((max, square) => Math.max(max, square.x + square.size), 0);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(initialSize, right * cellSize + padding);
+    canvas.height = Math.max(initialSize, layout.height * cellSize + padding);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    layout.squares.forEach((square) => {
+      ctx.fillStyle = square.color;
+      ctx.fillRect(
+        square.x * cellSize + padding / 2,
+        square.y * cellSize + padding / 2,
+        square.size * cellSize - padding,
+        square.size * cellSize - padding
+      );
+    });
+    return { image: canvas.toDataURL('image/png'), layout: { ...layout, cellSize, padding } };
+  };
+
+  // Re-render the loaded block's Mondrian with a different size or color mode
+  const updateVisualization = (modes) => {
+    const next = { sizeMode, colorMode, ...modes };
+    setSizeMode(next.sizeMode);
+    setColorMode(next.colorMode);
+    if (result && result.txList.length > 0) {
+      const { image, layout } = generateVisualization(result.txList, next);
+      setBitmapImage(image);
+      setBitmapLayout(layout);
+    }
+  };
+
+  function lookupBitmap(bitmapNum, bitmapInscriptionId = null) {
+    return fetchBitmapSat(bitmapNum, bitmapInscriptionId);
+  }
+
+  async function getInscriptionOwner(inscriptionId) {
+    return (await getOwnerAddress(proxyOrdinals, inscriptionId)) || 'Unknown';
+  }
+
+  const fetchChildDetails = async (child) => {
+    try {
+      console.log('🎯 fetchChildDetails called for:', child.id);
+      console.log('📋 Child has ownerAddress?', child.ownerAddress);
+
+      if (child.ownerAddress) {
+        console.log('✅ Owner already loaded:', child.ownerAddress);
+        setSelectedChild(child);
+      } else {
+        console.log('🔍 Fetching owner...');
+        const ownerAddress = await getInscriptionOwner(child.id);
+        console.log('✅ Owner fetched:', ownerAddress);
+
+        const updatedChild = { ...child, ownerAddress };
+        console.log('📦 Updated child object:', updatedChild);
+
+        setSelectedChild(updatedChild);
+        console.log('✅ State updated with selectedChild');
+
+        // Update the child in otherChildren array too
+        setOtherChildren(prev =>
+          prev.map(c => c.id === child.id ? updatedChild : c)
+        );
+        console.log('✅ Updated otherChildren array');
+      }
+    } catch (err) {
+      console.error('❌ Error fetching child details:', err);
+      setSelectedChild({ ...child, ownerAddress: 'Unknown' });
+    }
+  };
+
+  const fetchParcelDetails = async (parcel) => {
+    // Set the parcel as selected
+    setSelectedParcel(parcel.id);
+
+    // Fetch owner if not already loaded
+    if (!parcel.ownerAddress) {
+      try {
+        const ownerAddress = await getInscriptionOwner(parcel.id);
+        const updatedParcel = { ...parcel, ownerAddress };
+
+        // Update the parcel in parcels array
+        setParcels(prev =>
+          prev.map(p => p.id === parcel.id ? updatedParcel : p)
+        );
+      } catch (err) {
+        console.error('Error fetching parcel owner:', err);
+      }
+    }
+
+    // Also fetch children of this parcel
+    await fetchParcelChildren(parcel.id);
+  };
+
+  const fetchParcels = async (bitmapInscriptionId, bitmapNumber) => {
+    const requestId = ++childrenRequestRef.current;
+    const allParcels = [];
+    const allOtherChildren = [];
+    setLoadingParcels(true);
+    setParcels([]);
+    setOtherChildren([]);
+    setChildrenProgress({ loaded: 0, done: false });
+    try {
+      // Each page is classified and shown as soon as it arrives
+      await fetchBitmapParcels(proxyOrdinals, bitmapInscriptionId, bitmapNumber, {
+        onPage: (page) => {
+          if (requestId !== childrenRequestRef.current) return false;
+          allParcels.push(...page.parcels);
+          allOtherChildren.push(...page.otherChildren);
+          setParcels(prev => [...prev, ...page.parcels]);
+          setOtherChildren(prev => [...prev, ...page.otherChildren]);
+          setChildrenProgress({ loaded: page.loaded, done: false });
+        },
+      });
+      if (requestId !== childrenRequestRef.current) return null;
+
+      console.log('\n=== 🎯 FINAL PARCEL DETECTION RESULTS ===');
+      console.log(`✅ Parcels found: ${allParcels.length}`);
+      console.log(`✅ Other children: ${allOtherChildren.length}`);
+      if (allParcels.length > 0) {
+        console.log('🎉 Parcel details:', allParcels);
+      } else {
+        console.log('❌ NO PARCELS DETECTED');
+      }
+    } catch (err) {
+      // Keep whatever pages already loaded
+      console.error('❌ Error fetching parcels:', err);
+    } finally {
+      if (requestId === childrenRequestRef.current) {
+        setLoadingParcels(false);
+        setChildrenProgress({ loaded: allParcels.length + allOtherChildren.length, done: true });
+      }
+    }
+    return { parcels: allParcels, otherChildren: allOtherChildren };
+  };
+
+  const fetchParcelChildren = async (parcelId) => {
+    const requestId = ++parcelChildrenRequestRef.current;
+    setLoadingChildren(true);
+    setSelectedParcel(parcelId);
+    setParcelChildren([]);
+    try {
+      for await (const childrenIds of iterateChildPages(proxyOrdinals, parcelId)) {
+        if (requestId !== parcelChildrenRequestRef.current) return;
+        const childrenWithInfo = await getChildrenInfo(proxyOrdinals, childrenIds);
+        if (requestId !== parcelChildrenRequestRef.current) return;
+        setParcelChildren(prev => [...prev, ...childrenWithInfo]);
+      }
+    } catch (err) {
+      console.error('Error fetching parcel children:', err);
+    } finally {
+      if (requestId === parcelChildrenRequestRef.current) setLoadingChildren(false);
+    }
+  };
+
+  const handleLookup = async (bitmapNum = null, rawInput = null, bitmapInscriptionId = null) => {
+    const requestId = ++lookupRequestRef.current;
+    setError('');
+    setResult(null);
+    setBitmapImage(null);
+    setBitmapLayout(null);
+    setSelectedSquare(null);
+    setParcels([]);
+    setSelectedParcel(null);
+    setParcelChildren([]);
+
+    const num = bitmapNum !== null ? bitmapNum : parseInt(bitmapNumber.trim(), 10);
+
+    if (isNaN(num) || num === null || num === undefined || (rawInput !== null && !/^\d+$/.test(rawInput))) {
+      setError('Please enter a valid number');
+      return;
+    }
+    // Set home page mode if looking up 267651
+    setIsHomePage(num === 267651);
+
+    setLoading(true);
+    try {
+      // The server resolves the valid inscription on the sat, reinscriptions included
+      const { sat, inscriptionId, satIndex, confirmed } = await lookupBitmap(num, bitmapInscriptionId);
+      const ownerAddress = await getInscriptionOwner(inscriptionId);
+      // Block data failing shouldn't hide the inscription - say why the grid is missing instead
+      let blockData = { transactions: 0, blockHash: null, timestamp: null, size: 0, txList: [] };
+      let blockError = null;
+      try {
+        blockData = await fetchBlockData(num);
+      } catch (err) {
+        blockError = err.message;
+      }
+      if (requestId !== lookupRequestRef.current) return null;
+      setResult({
+        bitmapNumber: num,
+        sat: sat,
+        inscriptionId: inscriptionId,
+        ownerAddress: ownerAddress,
+        satIndex: satIndex,
+        confirmed,
+        blockHeight: num,
+        transactions: blockData.transactions,
+        blockHash: blockData.blockHash,
+        timestamp: blockData.timestamp,
+        size: blockData.size,
+        txList: blockData.txList,
+        blockError,
+      });
+      if (blockData.txList.length > 0) {
+        const { image, layout } = generateVisualization(blockData.txList, { sizeMode, colorMode });
+        setBitmapImage(image);
+        setBitmapLayout(layout);
+      }
+      return await fetchParcels(inscriptionId, num);
+    } catch (err) {
+      if (requestId === lookupRequestRef.current) setError(err.message || 'An error occurred while fetching data');
+    } finally {
+      if (requestId === lookupRequestRef.current) setLoading(false);
+    }
+  };
+
+  // Work out which bitmap (and parcel) an inscription belongs to by walking up its parents
+  const resolveInscriptionContext = async (inscriptionId) => {
+    const getContent = async (id) => {
+      const response = await fetch(`/api/ordinals?path=${encodeURIComponent(`/content/${id}`)}`);
+      return response.ok ? (await response.text()).trim() : '';
+    };
+    const getParent = async (id) => {
+      const response = await fetch(`/api/ordinals?path=${encodeURIComponent(`/r/parents/${id}`)}`);
+      if (!response.ok) return null;
+      const data = await response.json();
+      return (data.ids || data.parents || [])[0] || null;
+    };
+    const classify = (content) => {
+      const bitmapMatch = content.match(/^(\d+)\.bitmap$/);
+      if (bitmapMatch) return { bitmap: parseInt(bitmapMatch[1], 10) };
+      const parcelMatch = content.match(/^\d+\.(\d+)\.bitmap$/);
+      if (parcelMatch) return { bitmap: parseInt(parcelMatch[1], 10), isParcel: true };
+      return null;
+    };
+
+    // Bitmaps past the sat index resolve most reliably from their own inscription
+    const bitmapParent = async (bitmap, id) => (bitmap > MAX_INDEXED_BITMAP ? getParent(id) : null);
+
+    const own = classify(await getContent(inscriptionId));
+    if (own && !own.isParcel) return { bitmap: own.bitmap, bitmapInscriptionId: inscriptionId };
+    if (own) {
+      return { bitmap: own.bitmap, parcelId: inscriptionId, bitmapInscriptionId: await bitmapParent(own.bitmap, inscriptionId) };
+    }
+
+    const parentId = await getParent(inscriptionId);
+    if (!parentId) return null;
+    const parent = classify(await getContent(parentId));
+    if (!parent) return null;
+    return parent.isParcel
+      ? { bitmap: parent.bitmap, parcelId: parentId, bitmapInscriptionId: await bitmapParent(parent.bitmap, parentId) }
+      : { bitmap: parent.bitmap, childId: inscriptionId, bitmapInscriptionId: parentId };
+  };
+
+  const syncFromRoute = async (route) => {
+    const requestId = ++routeRequestRef.current;
+    let target = route;
+    if (route.inscriptionId) {
+      // Children of the loaded bitmap don't need a parent lookup
+      const knownChild = otherChildren.find(c => c.id === route.inscriptionId);
+      if (knownChild && result) {
+        target = { bitmap: String(result.bitmapNumber), childId: knownChild.id };
+      } else {
+        const context = await resolveInscriptionContext(route.inscriptionId).catch(() => null);
+        if (requestId !== routeRequestRef.current) return;
+        if (!context) {
+          setError('Inscription does not belong to a bitmap');
+          return;
+        }
+        target = { ...context, bitmap: String(context.bitmap) };
+      }
+    }
+
+    const num = parseInt(target.bitmap, 10);
+    let lists = { parcels, otherChildren };
+    if (!result || result.bitmapNumber !== num) {
+      setBitmapNumber(num === 267651 ? '' : target.bitmap);
+      lists = (await handleLookup(num, target.bitmap, target.bitmapInscriptionId)) || { parcels: [], otherChildren: [] };
+      if (requestId !== routeRequestRef.current) return;
+    }
+
+    setSelectedChild(null);
+    setSelectedParcel(null);
+    setParcelChildren([]);
+    if (target.parcelId) {
+      const parcel = lists.parcels.find(p => p.id === target.parcelId);
+      if (parcel) await fetchParcelDetails(parcel);
+      else await fetchParcelChildren(target.parcelId);
+    } else if (target.childId) {
+      const child = lists.otherChildren.find(c => c.id === target.childId);
+      if (child) await fetchChildDetails(child);
+    }
+  };
+
+  const showClaimMap = Boolean(parseExplorerPath(pathname).claims);
+
+  const setActiveTab = (tab) => {
+    router.push(tab === 'link' ? `${pathname}?tab=link` : pathname);
+  };
+
+  // Parcel "N.<bitmap>.bitmap" sits on transaction N's square
+  const parcelClaims = useMemo(
+    () => claimParcels(parcels, result?.txList.length || Infinity),
+    [parcels, result]
+  );
+
+  const bitmapPath = (num) => (num === 267651 ? '/' : `/bitmap/${num}`);
+
+  const navigateToBitmap = (num) => {
+    router.push(bitmapPath(num));
+  };
+
+  const navigateToParcel = (parcelId) => {
+    if (!result) return;
+    router.push(`/bitmap/${result.bitmapNumber}/parcel/${parcelId}`);
+  };
+
+  const navigateToChild = (childId) => {
+    router.push(`/inscription/${childId}`);
+  };
+
+  const lookupFromInput = () => {
+    const input = bitmapNumber.trim();
+    if (!/^\d+$/.test(input)) {
+      setError('Please enter a valid number');
+      return;
+    }
+    const num = parseInt(input, 10);
+    // Pushing the current route again is a no-op, so reload in place
+    if (bitmapPath(num) === pathname) handleLookup(num);
+    else navigateToBitmap(num);
+  };
+
+  return (
+    <div className="min-h-screen bg-black p-6">
+      {isFullscreen && show3DView && result && bitmapLayout && (
+        <div className="fixed inset-0 z-50 bg-black">
+          <div className="absolute top-4 right-4 z-10 flex gap-2">
+            <button
+              onClick={() => {
+                setIsFullscreen(false);
+                setShow3DView(false);
+              }}
+              className="bg-orange-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-orange-500 transition-colors"
+            >
+              Exit Fullscreen
+            </button>
+          </div>
+          <ErrorBoundary>
+            <Bitmap3DViewer
+              bitmapNumber={result.bitmapNumber}
+              inscriptionId={result.inscriptionId}
+              layout={bitmapLayout}
+              claims={parcelClaims.claims}
+              highlightedParcelId={selectedParcel}
+              onParcelClick={navigateToParcel}
+            />
+          </ErrorBoundary>
+        </div>
+      )}
+      {selectedSquare !== null && bitmapLayout?.squares[selectedSquare] && (
+        <TxDrawer
+          key={bitmapLayout.squares[selectedSquare].txid}
+          square={bitmapLayout.squares[selectedSquare]}
+          parcel={parcelClaims.claims.get(selectedSquare) || null}
+          onClose={() => setSelectedSquare(null)}
+          onOpenParcel={(parcelId) => {
+            setSelectedSquare(null);
+            navigateToParcel(parcelId);
+          }}
+        />
+      )}
+      <div className="max-w-7xl mx-auto">
+        {/* HPEC DAO HEADER WITH TABS */}
+        <div className="bg-gradient-to-r from-purple-900 to-orange-900 rounded-2xl shadow-2xl p-8 mb-6 border-2 border-orange-700">
+          <h1 className="text-4xl font-bold text-white mb-2 flex items-center gap-3">
+            <Wallet className="text-orange-400" size={40} />
+            HPEC DAO - Bitmap 267651
+          </h1>
+          <p className="text-orange-200 mb-4">Onchain Indexer & Wallet Linking for HPEC Community</p>
+
+          {/* TAB NAVIGATION */}
+          <div className="flex gap-2 flex-wrap">
+            <button
+              onClick={() => setActiveTab('bitmap')}
+              className={`px-4 py-2 rounded-lg font-semibold transition-all ${activeTab === 'bitmap' ? 'bg-orange-600 text-white' : 'bg-black/30 text-orange-200 hover:bg-black/50'}`}
+            >
+              Bitmap Lookup
+            </button>
+            <button
+              onClick={() => setActiveTab('link')}
+              className={`px-4 py-2 rounded-lg font-semibold transition-all ${activeTab === 'link' ? 'bg-purple-600 text-white' : 'bg-black/30 text-orange-200 hover:bg-black/50'}`}
+            >
+              <LinkIcon className="inline mr-2" size={16} />
+              Link Wallets
+            </button>
+          </div>
+        </div>
+
+        {/* BITMAP LOOKUP TAB */}
+        {activeTab === 'bitmap' && (
+          <>
+            <div className="bg-gray-900 rounded-2xl shadow-xl p-8 mb-6 border border-orange-700">
+              <div className="space-y-4">
+                <div className="flex gap-3">
+                  {!isHomePage && result && (
+                    <button
+                      onClick={() => {
+                        setBitmapNumber('267651');
+                        navigateToBitmap(267651);
+                      }}
+                      className="px-6 py-3 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-500 transition-colors flex items-center gap-2"
+                    >
+                      <ArrowLeft size={20} /> Home
+                    </button>
+                  )}
+                  <div className="flex gap-3 w-full">
+                    <input
+                      type="text"
+                      min="0"
+                      value={bitmapNumber}
+                      onChange={(e) => setBitmapNumber(e.target.value)}
+                      onKeyPress={(e) => e.key === 'Enter' && lookupFromInput()}
+                      placeholder="Enter bitmap number"
+                      className="flex-1 px-4 py-3 bg-gray-800 border-2 border-orange-600 rounded-lg focus:border-orange-400 focus:outline-none text-white text-lg placeholder-orange-300"
+                    />
+                    <button
+                      onClick={() => {
+                        document.activeElement?.blur();
+                        setTimeout(() => lookupFromInput(), 100);
+                      }}
+                      disabled={loading}
+                      className="px-6 py-3 bg-orange-600 text-white rounded-lg font-semibold hover:bg-orange-500 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors flex items-center gap-2 whitespace-nowrap"
+                    >
+                      {loading ? (
+                        <>
+                          <Loader2 className="animate-spin" size={20} />
+                          Loading
+                        </>
+                      ) : (
+                        <>
+                          <Search size={20} />
+                          Lookup
+                        </>
+                      )}
+                    </button>
+                  </div>
+                </div>
+                {error && (
+                  <div className="bg-orange-900 border-2 border-orange-700 rounded-lg p-4 flex items-start gap-3">
+                    <AlertCircle className="text-orange-400 flex-shrink-0 mt-0.5" size={20} />
+                    <p className="text-orange-200">{error}</p>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {result && (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border border-orange-700">
+                  <div className="flex items-center gap-3 mb-6">
+                    <CheckCircle className="text-orange-400" size={28} />
+                    <h2 className="text-2xl font-bold text-white">Results</h2>
+                    <button
+                      onClick={() => router.push(showClaimMap ? bitmapPath(result.bitmapNumber) : `/bitmap/${result.bitmapNumber}/claims`)}
+                      className="ml-auto bg-gray-800 text-orange-300 border border-orange-600 rounded-lg px-4 py-2 font-semibold hover:bg-gray-700 transition-all"
+                    >
+                      {showClaimMap ? 'Parcels' : 'Claim Map'}
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (!show3DView) {
+                          setShow3DView(true);
+                          setIsFullscreen(true);
+                        } else {
+                          setShow3DView(false);
+                          setIsFullscreen(false);
+                        }
+                      }}
+                      className="bg-orange-600 text-white rounded-lg px-4 py-2 font-semibold hover:bg-orange-500 transition-all"
+                    >
+                      {show3DView ? '2D View' : '3D View'}
+                    </button>
+                  </div>
+                  {!show3DView && (
+                    <p className="text-orange-400 text-sm mt-2 text-center mb-4">
+                      Allow longer for higher numbers of transactions to render - please be patient!
+                    </p>
+                  )}
+                  {result.blockError && (
+                    <div className="bg-red-900 border border-red-700 rounded-lg p-4 mb-6 flex items-start gap-3">
+                      <AlertCircle className="text-red-400 flex-shrink-0 mt-0.5" size={20} />
+                      <p className="text-red-200 text-sm break-words">Block data unavailable: {result.blockError}</p>
+                    </div>
+                  )}
+                  {bitmapImage && !show3DView && (
+                    <div className="space-y-2 mb-6">
+                      <p className="text-sm text-orange-300">
+                        Block Visualization (Transaction Grid)
+                        <span className="ml-2 text-green-400">• Hover or click squares to inspect transactions</span>
+                      </p>
+                      <div className="flex flex-wrap gap-3 text-sm">
+                        <label className="flex items-center gap-2 text-orange-300">
+                          Size by
+                          <select
+                            value={sizeMode}
+                            onChange={(e) => updateVisualization({ sizeMode: e.target.value })}
+                            className="bg-gray-800 border border-orange-600 rounded px-2 py-1 text-white"
+                          >
+                            {Object.entries(SIZE_MODES).map(([mode, { label }]) => (
+                              <option key={mode} value={mode}>{label}</option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="flex items-center gap-2 text-orange-300">
+                          Color by
+                          <select
+                            value={colorMode}
+                            onChange={(e) => updateVisualization({ colorMode: e.target.value })}
+                            className="bg-gray-800 border border-orange-600 rounded px-2 py-1 text-white"
+                          >
+                            {Object.entries(COLOR_MODES).map(([mode, { label }]) => (
+                              <option key={mode} value={mode}>{label}</option>
+                            ))}
+                          </select>
+                        </label>
+                      </div>
+                      <div className="flex flex-wrap gap-3 text-xs text-gray-300">
+                        {COLOR_MODES[colorMode].legend.map(({ label, color }) => (
+                          <span key={label} className="flex items-center gap-1">
+                            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+                            {label}
+                          </span>
+                        ))}
+                      </div>
+                      <div className="bg-gray-800 rounded-lg border border-orange-600 overflow-hidden w-full">
+                        <ClickableBitmapGrid
+                          imageDataUrl={bitmapImage}
+                          layout={bitmapLayout}
+                          claims={parcelClaims.claims}
+                          highlightedParcelId={hoveredParcel || selectedParcel}
+                          onSquareClick={setSelectedSquare}
+                        />
+                      </div>
+                      <p className="text-xs text-orange-400 text-center">
+                        {result.transactions} transactions • 1 square = 1 transaction
+                      </p>
+                    </div>
+                  )}
+                  <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+                    <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-center items-center">
+                      <p className="text-sm text-orange-300 mb-1 text-center">Bitmap Number</p>
+                      <p className="text-lg font-bold text-orange-400 text-center">{result.bitmapNumber}</p>
+                    </div>
+                    <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-center items-center">
+                      <p className="text-sm text-orange-300 mb-1 text-center">Block Height</p>
+                      <p className="text-lg font-semibold text-white text-center">{result.blockHeight}</p>
+                    </div>
+                    <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-center items-center">
+                      <p className="text-sm text-orange-300 mb-1 text-center">Sat Number</p>
+                      <p className="text-sm font-semibold text-white text-center truncate">{result.sat}</p>
+                    </div>
+                    <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-center items-center group relative">
+                      <p className="text-sm text-orange-300 mb-1 text-center">Owner Address</p>
+                      <p className="text-xs font-mono text-white text-center truncate w-32" title={result.ownerAddress}>
+                        {result.ownerAddress ? `${result.ownerAddress.slice(0, 6)}...${result.ownerAddress.slice(-4)}` : 'Unknown'}
+                      </p>
+                      <span className="absolute top-full left-1/2 transform -translate-x-1/2 mt-2 bg-gray-900 text-orange-300 text-xs p-2 rounded-lg border border-orange-600 opacity-0 group-hover:opacity-100 transition-opacity z-10 max-w-xs break-all pointer-events-none">
+                        {result.ownerAddress || 'Unknown'}
+                      </span>
+                    </div>
+                    <div className="bg-orange-900 rounded-lg p-4 border-2 border-orange-700 w-40 h-40 flex flex-col justify-center items-center">
+                      <p className="text-sm text-orange-300 mb-1 text-center">Block Transactions</p>
+                      <p className="text-lg font-bold text-orange-400 text-center">{result.transactions}</p>
+                    </div>
+                    {result.blockHash && (
+                      <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-center items-center group relative">
+                        <p className="text-sm text-orange-300 mb-1 text-center">Block Hash</p>
+                        <p className="text-xs font-mono text-white text-center truncate w-32" title={result.blockHash}>{result.blockHash}</p>
+                        <span className="absolute top-full left-1/2 transform -translate-x-1/2 mt-2 bg-gray-900 text-orange-300 text-xs p-2 rounded-lg border border-orange-600 opacity-0 group-hover:opacity-100 transition-opacity z-10 max-w-xs break-all pointer-events-none">
+                          {result.blockHash}
+                        </span>
+                      </div>
+                    )}
+                    {result.timestamp && (
+                      <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-center items-center">
+                        <p className="text-sm text-orange-300 mb-1 text-center">Block Timestamp</p>
+                        <p className="text-xs text-white text-center line-clamp-2">{new Date(result.timestamp * 1000).toLocaleString()}</p>
+                      </div>
+                    )}
+                    {result.size > 0 && (
+                      <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-center items-center">
+                        <p className="text-sm text-orange-300 mb-1 text-center">Block Size</p>
+                        <p className="text-sm text-white text-center">{(result.size / 1024).toFixed(2)} KB</p>
+                      </div>
+                    )}
+                    {result.confirmed === false && (
+                      <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-center items-center">
+                        <p className="text-sm text-orange-300 mb-1 text-center">Unconfirmed</p>
+                        <p className="text-xs text-gray-300 text-center">Past the sat index - the earliest valid inscription seen so far</p>
+                      </div>
+                    )}
+                    {result.satIndex > 0 && (
+                      <div className="bg-orange-900 rounded-lg p-4 border-2 border-orange-700 w-40 h-40 flex flex-col justify-center items-center">
+                        <p className="text-sm text-orange-300 mb-1 text-center">Sat Index (Reinscription)</p>
+                        <p className="text-lg font-semibold text-orange-400 text-center">{result.satIndex}</p>
+                      </div>
+                    )}
+                    <div className="bg-gray-800 rounded-lg p-4 border border-orange-600 w-40 h-40 flex flex-col justify-between items-center group relative">
+                      <div className="text-center">
+                        <p className="text-sm text-orange-300 mb-1">Inscription ID</p>
+                        <p className="text-xs font-mono text-white truncate w-32" title={result.inscriptionId}>{result.inscriptionId}</p>
+                        <span className="absolute top-full left-1/2 transform -translate-x-1/2 mt-2 bg-gray-900 text-orange-300 text-xs p-2 rounded-lg border border-orange-600 opacity-0 group-hover:opacity-100 transition-opacity z-10 max-w-xs break-all pointer-events-none">
+                          {result.inscriptionId}
+                        </span>
+                      </div>
+                      <a
+                        href={`https://ordinals.com/inscription/${result.inscriptionId}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-xs text-orange-400 hover:text-orange-300 font-semibold"
+                      >
+                        View on ordinals.com &rarr;
+                      </a>
+                    </div>
+                  </div>
+                </div>
+
+                <VerificationPanel
+                  key={`${result.bitmapNumber}:${result.inscriptionId}`}
+                  bitmapNumber={result.bitmapNumber}
+                  inscriptionId={result.inscriptionId}
+                />
+
+                {showClaimMap ? (
+                  <ClaimMapPanel
+                    key={`${result.bitmapNumber}:${result.inscriptionId}`}
+                    bitmapNumber={result.bitmapNumber}
+                    inscriptionId={result.inscriptionId}
+                    onOpenParcel={navigateToParcel}
+                  />
+                ) : (
+                  <div className="space-y-6">
+                    <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border border-orange-700">
+                      <div className="flex items-center gap-3 mb-6">
+                        <Grid3x3 className="text-orange-400" size={28} />
+                        <h2 className="text-2xl font-bold text-white">Parcels</h2>
+                        {loadingParcels && <Loader2 className="animate-spin text-orange-400" size={20} />}
+                        {childrenProgress.loaded > 0 && (
+                          <span className="ml-auto text-sm text-orange-300">
+                            {childrenProgress.done
+                              ? `${childrenProgress.loaded} children total`
+                              : `${childrenProgress.loaded} children loaded, fetching more...`}
+                          </span>
+                        )}
+                      </div>
+                      {parcels.length === 0 && otherChildren.length === 0 && !loadingParcels && (
+                        <p className="text-orange-300 text-center py-8">No children found for this bitmap</p>
+                      )}
+                      {parcels.length > 0 && (
+                        <div className="mb-8">
+                          <div className="flex items-center gap-3 mb-4">
+                            <Grid3x3 className="text-green-400" size={28} />
+                            <h2 className="text-2xl font-bold text-white">Parcels ({parcels.length})</h2>
+                          </div>
+                          <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3 max-h-96 overflow-y-auto">
+                            {parcels.map((parcel, index) => {
+                              const parcelName = parcel.parcelName || `${index}.${result.bitmapNumber}.bitmap`;
+                              const claim = parcelClaims.claims.get(parseParcelIndex(parcelName));
+                              return (
+                                <button
+                                  key={parcel.id}
+                                  onClick={() => navigateToParcel(parcel.id)}
+                                  onMouseEnter={() => setHoveredParcel(parcel.id)}
+                                  onMouseLeave={() => setHoveredParcel(null)}
+                                  className={`group bg-gray-800 rounded-lg border-2 transition-all overflow-hidden relative ${selectedParcel === parcel.id
+                                    ? 'border-green-400 shadow-[0_0_20px_rgba(74,222,128,0.8)] scale-105'
+                                    : 'border-green-600 hover:border-green-400'
+                                    }`}
+                                >
+                                  <div className="aspect-square relative">
+                                    {parcel.hasImage ? (
+                                      <img
+                                        src={`/content/${parcel.id}`}
+                                        alt={parcelName}
+                                        className="w-full h-full object-cover"
+                                        onError={(e) => {
+                                          e.target.style.display = 'none';
+                                          e.target.nextSibling.style.display = 'flex';
+                                        }}
+                                      />
+                                    ) : null}
+                                    <div
+                                      className={`w-full h-full bg-green-800/30 flex items-center justify-center ${parcel.hasImage ? 'hidden' : 'flex'
+                                        }`}
+                                    >
+                                      <ImageIcon className="text-green-400/50" size={48} />
+                                    </div>
+                                  </div>
+                                  <div className="p-3 bg-gray-900 border-t border-green-600">
+                                    <p className="text-xs text-green-300 truncate">{parcelName}</p>
+                                    <p className="text-xs text-gray-400 truncate">
+                                      {claim?.id === parcel.id ? `Tx #${claim.txIndex}` : 'Not on the map'}
+                                    </p>
+                                    <p className="text-xs text-gray-400 truncate font-mono mt-1">{parcel.id.slice(0, 8)}...</p>
+                                  </div>
+                                  <div className="absolute top-2 right-2 bg-green-600 rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                                    <ChevronRight className="text-white" size={16} />
+                                  </div>
+                                </button>
+                              );
+                            })}
+                          </div>
+                          <p className="text-green-300 text-center mt-4 text-sm">
+                            {childrenProgress.done ? `Showing all ${parcels.length} parcels` : `Showing ${parcels.length} parcels so far`} (using .bitmap naming convention)
+                          </p>
+                        </div>
+                      )}
+                    </div>
+
+                    {otherChildren.length > 0 && (
+                      <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border border-purple-700 mt-6">
+                        <div className="flex items-center gap-3 mb-6">
+                          <Grid3x3 className="text-purple-400" size={28} />
+                          <h2 className="text-2xl font-bold text-white">Other Children ({otherChildren.length})</h2>
+                        </div>
+                        <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3 max-h-96 overflow-y-auto">
+                          {otherChildren.map((child) => (
+                            <button
+                              key={child.id}
+                              onClick={() => navigateToChild(child.id)}
+                              className={`group bg-gray-800 rounded-lg border-2 transition-all overflow-hidden relative ${selectedChild?.id === child.id
+                                ? 'border-purple-400 shadow-[0_0_20px_rgba(192,132,252,0.8)] scale-105'
+                                : 'border-purple-600 hover:border-purple-400 hover:shadow-[0_0_15px_rgba(192,132,252,0.5)]'
+                                }`}
+                            >
+                              <div className="aspect-square relative">
+                                {child.hasImage ? (
+                                  child.contentType?.startsWith('image/') ? (
+                                    <img
+                                      src={`/content/${child.id}`}
+                                      alt={`Child ${child.childNumber}`}
+                                      className="w-full h-full object-cover"
+                                      onError={(e) => {
+                                        e.target.style.display = 'none';
+                                        e.target.parentElement.querySelector('.fallback-icon').style.display = 'flex';
+                                      }}
+                                    />
+                                  ) : (
+                                    <iframe
+                                      src={`/content/${child.id}`}
+                                      title={`Child ${child.childNumber}`}
+                                      className="w-full h-full border-0 pointer-events-none"
+                                      sandbox="allow-scripts"
+                                    />
+                                  )
+                                ) : null}
+                                <div className={`fallback-icon w-full h-full bg-purple-800/30 flex items-center justify-center absolute inset-0 ${child.hasImage ? 'hidden' : 'flex'}`}>
+                                  <ImageIcon className="text-purple-400/50" size={32} />
+                                </div>
+                              </div>
+                              <div className="p-2 bg-gray-900 border-t border-purple-600">
+                                <p className="text-xs text-purple-300 truncate">Child #{child.childNumber}</p>
+                                <p className="text-xs text-gray-400 truncate font-mono">{child.id.slice(0, 8)}...</p>
+                                <p className="text-xs text-green-400 truncate font-mono">
+                                  {child.ownerAddress ? `${child.ownerAddress.slice(0, 6)}***${child.ownerAddress.slice(-4)}` : 'Click to view'}
+                                </p>
+                              </div>
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {selectedChild && (
+                      <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border border-purple-700">
+                        <div className="flex items-center gap-3 mb-6">
+                          <button
+                            onClick={() => navigateToBitmap(result.bitmapNumber)}
+                            className="text-purple-400 hover:text-purple-300 transition-colors"
+                          >
+                            <ArrowLeft size={24} />
+                          </button>
+                          <h2 className="text-2xl font-bold text-white">Child Inscription Details</h2>
+                        </div>
+
+                        <div className="bg-gray-800 rounded-lg p-4 border border-purple-600 mb-4">
+                          <p className="text-xs text-purple-300 mb-1">Inscription ID</p>
+                          <p className="text-xs font-mono text-white break-all">{selectedChild.id}</p>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                          <div className="bg-gray-800 rounded-lg p-4 border border-purple-600">
+                            <p className="text-xs text-purple-300 mb-1">Child Number</p>
+                            <p className="text-white font-semibold">#{selectedChild.childNumber}</p>
+                          </div>
+
+                          <div className="bg-gray-800 rounded-lg p-4 border border-purple-600">
+                            <p className="text-xs text-purple-300 mb-1">Content Type</p>
+                            <p className="text-white font-semibold">{selectedChild.contentType}</p>
+                          </div>
+
+                          <div className="bg-gray-800 rounded-lg p-4 border border-purple-600 col-span-2">
+                            <p className="text-xs text-purple-300 mb-1">Owner</p>
+                            <p className="text-white font-mono text-sm truncate" title={selectedChild.ownerAddress || 'Unknown'}>
+                              {selectedChild.ownerAddress ? `${selectedChild.ownerAddress.slice(0, 6)}***${selectedChild.ownerAddress.slice(-4)}` : 'Unknown'}
+                            </p>
+                          </div>
+                        </div>
+
+                        <div className="mt-4">
+                          {selectedChild.hasImage ? (
+                            <div className="bg-gray-800 rounded-lg p-4 border border-purple-600">
+                              <p className="text-xs text-purple-300 mb-2">Preview</p>
+                              {selectedChild.contentType?.startsWith('image/') ? (
+                                <img
+                                  src={`/content/${selectedChild.id}`}
+                                  alt={`Child ${selectedChild.childNumber}`}
+                                  className="w-full max-h-96 object-contain rounded"
+                                  onError={(e) => {
+                                    e.target.parentElement.innerHTML = '<div class="text-center py-8"><p class="text-purple-300">Failed to load preview</p></div>';
+                                  }}
+                                />
+                              ) : (
+                                <iframe
+                                  src={`/content/${selectedChild.id}`}
+                                  title={`Child ${selectedChild.childNumber}`}
+                                  className="w-full h-96 border-0 rounded bg-white"
+                                  sandbox="allow-scripts"
+                                />
+                              )}
+                            </div>
+                          ) : (
+                            <div className="bg-gray-800 rounded-lg p-8 border border-purple-600 text-center">
+                              <ImageIcon className="text-purple-400/50 mx-auto mb-2" size={64} />
+                              <p className="text-purple-300">No preview available</p>
+                            </div>
+                          )}
+                        </div>
+
+                        <a
+                          href={`https://ordinals.com/inscription/${selectedChild.id}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="mt-4 block text-center px-6 py-3 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-500 transition-colors"
+                        >
+                          View on ordinals.com &rarr;
+                        </a>
+                      </div>
+                    )}
+
+                    {selectedParcel && (
+                      <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border border-green-700 mb-6">
+                        <div className="flex items-center gap-3 mb-6">
+                          <button
+                            onClick={() => navigateToBitmap(result.bitmapNumber)}
+                            className="text-green-400 hover:text-green-300 transition-colors"
+                          >
+                            <ArrowLeft size={24} />
+                          </button>
+                          <h2 className="text-2xl font-bold text-white">Parcel Inscription Details</h2>
+                        </div>
+
+                        {(() => {
+                          const parcelData = parcels.find(p => p.id === selectedParcel);
+                          if (!parcelData) return null;
+
+                          return (
+                            <>
+                              <div className="bg-gray-800 rounded-lg p-4 border border-green-600 mb-4">
+                                <p className="text-xs text-green-300 mb-1">Inscription ID</p>
+                                <p className="text-xs font-mono text-white break-all">{parcelData.id}</p>
+                              </div>
+
+                              <div className="grid grid-cols-2 gap-4">
+                                <div className="bg-gray-800 rounded-lg p-4 border border-green-600">
+                                  <p className="text-xs text-green-300 mb-1">Parcel Name</p>
+                                  <p className="text-white font-semibold">{parcelData.parcelName || 'Unknown'}</p>
+                                </div>
+
+                                <div className="bg-gray-800 rounded-lg p-4 border border-green-600">
+                                  <p className="text-xs text-green-300 mb-1">Content Type</p>
+                                  <p className="text-white font-semibold">{parcelData.contentType}</p>
+                                </div>
+
+                                <div className="bg-gray-800 rounded-lg p-4 border border-green-600 col-span-2">
+                                  <p className="text-xs text-green-300 mb-1">Owner</p>
+                                  <p className="text-white font-mono text-sm truncate" title={parcelData.ownerAddress || 'Loading...'}>
+                                    {parcelData.ownerAddress ? `${parcelData.ownerAddress.slice(0, 6)}***${parcelData.ownerAddress.slice(-4)}` : 'Loading...'}
+                                  </p>
+                                </div>
+                              </div>
+
+                              <div className="mt-4">
+                                {parcelData.hasImage ? (
+                                  <div className="bg-gray-800 rounded-lg p-4 border border-green-600">
+                                    <p className="text-xs text-green-300 mb-2">Preview</p>
+                                    {parcelData.contentType?.startsWith('image/') ? (
+                                      <img
+                                        src={`/content/${parcelData.id}`}
+                                        alt={parcelData.parcelName}
+                                        className="w-full max-h-96 object-contain rounded"
+                                        onError={(e) => {
+                                          e.target.parentElement.innerHTML = '<div class="text-center py-8"><p class="text-green-300">Failed to load preview</p></div>';
+                                        }}
+                                      />
+                                    ) : (
+                                      <iframe
+                                        src={`/content/${parcelData.id}`}
+                                        title={parcelData.parcelName}
+                                        className="w-full h-96 border-0 rounded bg-white"
+                                        sandbox="allow-scripts"
+                                      />
+                                    )}
+                                  </div>
+                                ) : (
+                                  <div className="bg-gray-800 rounded-lg p-8 border border-green-600 text-center">
+                                    <ImageIcon className="text-green-400/50 mx-auto mb-2" size={64} />
+                                    <p className="text-green-300">No preview available</p>
+                                  </div>
+                                )}
+                              </div>
+
+                              <a
+                                href={`https://ordinals.com/inscription/${parcelData.id}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="mt-4 block text-center px-6 py-3 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-500 transition-colors"
+                              >
+                                View on ordinals.com &rarr;
+                              </a>
+                            </>
+                          );
+                        })()}
+                      </div>
+                    )}
+
+                    {selectedParcel && (
+                      <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border border-orange-700">
+                        <div className="flex items-center gap-3 mb-6">
+                          <h2 className="text-2xl font-bold text-white">Parcel Children ({parcelChildren.length})</h2>
+                          {loadingChildren && <Loader2 className="animate-spin text-orange-400" size={20} />}
+                        </div>
+                        {parcelChildren.length === 0 && !loadingChildren && (
+                          <p className="text-orange-300 text-center py-8">No children found for this parcel</p>
+                        )}
+                        {parcelChildren.length > 0 && (
+                          <div className="space-y-3">
+                            {parcelChildren.map((child, index) => {
+                              const childNum = index + 1;
+                              const childName = `${childNum}.${result.bitmapNumber}.bitmap`;
+                              return (
+                                <div
+                                  key={child.id}
+                                  className="bg-gray-800 rounded-lg border border-orange-600 p-4 flex gap-4"
+                                >
+                                  <div className="w-24 h-24 flex-shrink-0 rounded-lg overflow-hidden bg-orange-800/30">
+                                    {child.hasImage ? (
+                                      <img
+                                        src={`/content/${child.id}`}
+                                        alt={`Child ${childNum}`}
+                                        className="w-full h-full object-cover"
+                                        onError={(e) => {
+                                          e.target.style.display = 'none';
+                                          e.target.nextSibling.style.display = 'flex';
+                                        }}
+                                      />
+                                    ) : null}
+                                    <div
+                                      className={`w-full h-full flex items-center justify-center ${child.hasImage ? 'hidden' : 'flex'
+                                        }`}
+                                    >
+                                      <ImageIcon className="text-orange-400/50" size={32} />
+                                    </div>
+                                  </div>
+                                  <div className="flex-1 min-w-0">
+                                    <p className="text-sm text-orange-300 mb-1">{childName}</p>
+                                    <p className="text-xs font-mono text-white break-all mb-2">{child.id}</p>
+                                    <p className="text-xs text-gray-400">{child.contentType}</p>
+                                    <a
+                                      href={`https://ordinals.com/inscription/${child.id}`}
+                                      target="_blank"
+                                      rel="noopener noreferrer"
+                                      className="inline-block mt-2 text-xs text-orange-400 hover:text-orange-300"
+                                    >
+                                      View on ordinals.com &rarr;
+                                    </a>
+                                  </div>
+                                </div>
+                              );
+                            })}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        {/* WALLET LINKING TAB */}
+        {activeTab === 'link' && (
+          <div className="bg-gray-900 rounded-2xl shadow-xl p-8 border-2 border-purple-700">
+            <h2 className="text-2xl font-bold text-white mb-6">Link Your Wallets for HPEC DAO</h2>
+            <p className="text-gray-300 mb-6">Connect your Bitcoin wallet holding HPEC parcels/children and link it to your Cardano wallet for ADA distributions.</p>
+
+            {/* Success Message */}
+            {success && (
+              <div className="mb-6 p-4 bg-green-900/50 border border-green-700 rounded-lg">
+                <p className="text-green-300">{success}</p>
+              </div>
+            )}
+
+            {/* Error Message */}
+            {walletError && (
+              <div className="mb-6 p-4 bg-red-900/50 border border-red-700 rounded-lg">
+                <AlertCircle className="inline mr-2" size={20} />
+                <span className="text-red-300">{walletError}</span>
+              </div>
+            )}
+
+            <div className="space-y-6">
+              {/* Bitcoin Wallet */}
+              <div className="bg-gray-800 rounded-xl p-6 border-2 border-purple-600">
+                <h3 className="text-xl font-bold text-white mb-4">Step 1: Connect Bitcoin Wallet</h3>
+                <p className="text-gray-300 mb-4">Connect to verify ownership of HPEC parcels/children</p>
+
+                <div className="flex gap-3 mb-4">
+                  <button
+                    onClick={connectXverseWallet}
+                    className="flex-1 px-6 py-3 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-500 transition-colors"
+                  >
+                    {btcWallet === 'xverse' ? '✓ Xverse Connected' : 'Connect Xverse'}
+                  </button>
+                  <button
+                    onClick={connectUnisatWallet}
+                    className="flex-1 px-6 py-3 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-500 transition-colors"
+                  >
+                    {btcWallet === 'unisat' ? '✓ Unisat Connected' : 'Connect Unisat'}
+                  </button>
+                </div>
+
+                {btcAddress && (
+                  <div className="bg-gray-900 rounded-lg p-3 border border-purple-500">
+                    <p className="text-xs text-purple-300 mb-1">Connected Address:</p>
+                    <div className="flex items-center gap-2">
+                      <p className="text-xs font-mono text-white break-all flex-1">{btcAddress}</p>
+                      <button
+                        onClick={() => navigator.clipboard.writeText(btcAddress)}
+                        className="p-2 bg-purple-700 rounded hover:bg-purple-600"
+                      >
+                        <Copy size={14} className="text-white" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Cardano Wallet */}
+              <div className="bg-gray-800 rounded-xl p-6 border-2 border-orange-600">
+                <h3 className="text-xl font-bold text-white mb-4">Step 2: Connect Cardano Wallet</h3>
+                <p className="text-gray-300 mb-4">Connect for ADA distributions</p>
+
+                <div className="grid grid-cols-2 gap-3 mb-4">
+                  <button
+                    onClick={() => connectCardanoWallet('vespr')}
+                    className="px-6 py-3 bg-orange-600 text-white rounded-lg font-semibold hover:bg-orange-500 transition-colors"
+                  >
+                    {cardanoWallet === 'vespr' ? '✓ Vespr' : 'Vespr'}
+                  </button>
+                  <button
+                    onClick={() => connectCardanoWallet('eternl')}
+                    className="px-6 py-3 bg-orange-600 text-white rounded-lg font-semibold hover:bg-orange-500 transition-colors"
+                  >
+                    {cardanoWallet === 'eternl' ? '✓ Eternl' : 'Eternl'}
+                  </button>
+                  <button
+                    onClick={() => connectCardanoWallet('nami')}
+                    className="px-6 py-3 bg-orange-600 text-white rounded-lg font-semibold hover:bg-orange-500 transition-colors"
+                  >
+                    {cardanoWallet === 'nami' ? '✓ Nami' : 'Nami'}
+                  </button>
+                  <button
+                    onClick={() => connectCardanoWallet('flint')}
+                    className="px-6 py-3 bg-orange-600 text-white rounded-lg font-semibold hover:bg-orange-500 transition-colors"
+                  >
+                    {cardanoWallet === 'flint' ? '✓ Flint' : 'Flint'}
+                  </button>
+                </div>
+
+                {adaAddress && (
+                  <div className="bg-gray-900 rounded-lg p-3 border border-orange-500">
+                    <p className="text-xs text-orange-300 mb-1">Connected Address ({cardanoWallet}):</p>
+                    <div className="flex items-center gap-2">
+                      <p className="text-xs font-mono text-white break-all flex-1">{adaAddress}</p>
+                      <button
+                        onClick={() => navigator.clipboard.writeText(adaAddress)}
+                        className="p-2 bg-orange-700 rounded hover:bg-orange-600"
+                      >
+                        <Copy size={14} className="text-white" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Discord */}
+              <div className="bg-gray-800 rounded-xl p-6 border-2 border-green-600">
+                <h3 className="text-xl font-bold text-white mb-4">Step 3: Discord (Optional)</h3>
+                <input
+                  type="text"
+                  value={discordUsername}
+                  onChange={(e) => setDiscordUsername(e.target.value)}
+                  placeholder="username#1234"
+                  className="w-full px-4 py-3 bg-gray-900 border-2 border-green-600 rounded-lg text-white"
+                />
+              </div>
+
+              {/* Submit Button */}
+              {btcAddress && adaAddress && (
+                <button
+                  onClick={submitLinkage}
+                  className="w-full px-6 py-4 bg-gradient-to-r from-purple-600 to-orange-600 text-white rounded-xl font-bold text-lg hover:from-purple-500 hover:to-orange-500 transition-all"
+                >
+                  Submit Wallet Linkage
+                </button>
+              )}
+
+              {/* Existing Linkages */}
+              {linkages.length > 0 && (
+                <div className="bg-gray-800 rounded-xl p-6 border-2 border-blue-600 mt-6">
+                  <div className="flex items-center gap-3 mb-4">
+                    <h3 className="text-xl font-bold text-white">DAO Linked Wallets ({linkages.length})</h3>
+                    <button
+                      onClick={refreshHoldings}
+                      disabled={checkingHoldings}
+                      className="ml-auto px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+                    >
+                      {checkingHoldings && <Loader2 className="animate-spin" size={16} />}
+                      Check Holdings
+                    </button>
+                  </div>
+                  <div className="space-y-3">
+                    {linkages.map((linkage) => (
+                      <div key={linkage.id} className="bg-gray-900 rounded-lg p-4 border border-blue-500">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <div>
+                            <p className="text-xs text-purple-300 mb-1">Bitcoin ({linkage.btcWallet})</p>
+                            <p className="text-xs font-mono text-white break-all">{linkage.btcAddress}</p>
+                          </div>
+                          <div>
+                            <p className="text-xs text-orange-300 mb-1">Cardano ({linkage.cardanoWallet})</p>
+                            <p className="text-xs font-mono text-white break-all">{linkage.adaAddress}</p>
+                          </div>
+                        </div>
+                        {linkage.discordUsername && (
+                          <p className="text-xs text-green-300 mt-2">Discord: {linkage.discordUsername}</p>
+                        )}
+                        {linkage.holdings && (
+                          <div className="flex items-center gap-2 mt-2 flex-wrap">
+                            {linkage.holdings.isHolder ? (
+                              <span className="text-xs font-semibold px-2 py-1 rounded bg-green-700 text-white">
+                                {linkage.holdings.bitmapNumber} Holder
+                              </span>
+                            ) : (
+                              <span className="text-xs font-semibold px-2 py-1 rounded bg-gray-700 text-gray-300">Not a holder</span>
+                            )}
+                            {linkage.holdings.ownsBitmap && (
+                              <span className="text-xs text-orange-300">Owns {linkage.holdings.bitmapNumber}.bitmap</span>
+                            )}
+                            {linkage.holdings.parcels.length > 0 && (
+                              <span className="text-xs text-green-300">{linkage.holdings.parcels.length} parcel{linkage.holdings.parcels.length === 1 ? '' : 's'}</span>
+                            )}
+                            {linkage.holdings.children.length > 0 && (
+                              <span className="text-xs text-purple-300">{linkage.holdings.children.length} child{linkage.holdings.children.length === 1 ? '' : 'ren'}</span>
+                            )}
+                          </div>
+                        )}
+                        <p className="text-xs text-gray-500 mt-2">Linked: {new Date(linkage.timestamp).toLocaleString()}</p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="mt-8 text-center text-orange-300 text-sm">
+          <p>HPEC DAO • 267651.bitmap • Powered by Ordinals</p>
+        </div>
+      </div>
+    </div>
+  );
+}
\ No newline at end of file
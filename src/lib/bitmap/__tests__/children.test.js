@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { iterateChildPages, listAllChildren, isParcelName, classifyChild, fetchParcels } from '../children';
+import { recordedOrdinals } from './recorded';
+
+const BITMAP = `${'b'.repeat(63)}0i0`;
+const child = (n) => `${'c'.repeat(63)}${n}i0`;
+
+describe('iterateChildPages', () => {
+  it('follows `more` to the next page', async () => {
+    const ordinals = recordedOrdinals('children');
+    const pages = [];
+    for await (const ids of iterateChildPages(ordinals, BITMAP)) pages.push(ids);
+    expect(pages).toEqual([[child(1), child(2), child(3)], [child(4), child(5)]]);
+    expect(ordinals.requested).toEqual([`/r/children/${BITMAP}`, `/r/children/${BITMAP}/1`]);
+  });
+
+  it('collects every page', async () => {
+    expect(await listAllChildren(recordedOrdinals('children'), BITMAP)).toHaveLength(5);
+  });
+});
+
+describe('isParcelName', () => {
+  it('matches "N.<bitmap>.bitmap" for this bitmap only', () => {
+    expect(isParcelName('12.840001.bitmap', 840001)).toBe(true);
+    expect(isParcelName('12.840001.bitmap\n', 840001)).toBe(true);
+    expect(isParcelName('12.840002.bitmap', 840001)).toBe(false);
+    expect(isParcelName('840001.bitmap', 840001)).toBe(false);
+  });
+});
+
+describe('classifyChild', () => {
+  it('marks text children named after a parcel as parcels', async () => {
+    expect(await classifyChild(recordedOrdinals('children'), child(1), 0, 840001)).toEqual({
+      id: child(1),
+      childNumber: 1,
+      contentType: 'text/plain;charset=utf-8',
+      isParcel: true,
+      parcelName: '12.840001.bitmap',
+      hasImage: false,
+      detailsLoaded: false,
+    });
+  });
+
+  it('leaves other text and images as plain children', async () => {
+    const ordinals = recordedOrdinals('children');
+    expect((await classifyChild(ordinals, child(2), 1, 840001)).isParcel).toBe(false);
+    const image = await classifyChild(ordinals, child(3), 2, 840001);
+    expect(image).toMatchObject({ isParcel: false, hasImage: true, contentType: 'image/png' });
+    // Images are never fetched to look for a parcel name
+    expect(ordinals.requested).not.toContain(`/content/${child(3)}`);
+  });
+});
+
+describe('fetchParcels', () => {
+  it('splits children into parcels and others across pages', async () => {
+    const { parcels, otherChildren } = await fetchParcels(recordedOrdinals('children'), BITMAP, 840001);
+    expect(parcels.map((parcel) => [parcel.childNumber, parcel.parcelName])).toEqual([
+      [1, '12.840001.bitmap'],
+      [4, '12.840001.bitmap'],
+      [5, '012.840001.bitmap'],
+    ]);
+    expect(otherChildren.map((other) => other.childNumber)).toEqual([2, 3]);
+  });
+
+  it('stops when onPage returns false', async () => {
+    const ordinals = recordedOrdinals('children');
+    const { parcels } = await fetchParcels(ordinals, BITMAP, 840001, { onPage: () => false });
+    expect(parcels).toHaveLength(1);
+    expect(ordinals.requested).not.toContain(`/r/children/${BITMAP}/1`);
+  });
+});
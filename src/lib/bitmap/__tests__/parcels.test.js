@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { parseParcelIndex, claimParcels, buildClaimMap, availableParcelNames } from '../parcels';
+import { fetchParcels } from '../children';
+import { recordedOrdinals } from './recorded';
+
+const BITMAP = `${'b'.repeat(63)}0i0`;
+const child = (n) => `${'c'.repeat(63)}${n}i0`;
+
+describe('parseParcelIndex', () => {
+  it('reads N from canonical parcel names only', () => {
+    expect(parseParcelIndex('12.840001.bitmap')).toBe(12);
+    expect(parseParcelIndex('0.840001.bitmap')).toBe(0);
+    expect(parseParcelIndex('012.840001.bitmap')).toBeNull();
+    expect(parseParcelIndex(undefined)).toBeNull();
+  });
+});
+
+describe('claimParcels', () => {
+  it('keeps the first claim and reports duplicates and invalid names', async () => {
+    const { parcels } = await fetchParcels(recordedOrdinals('children'), BITMAP, 840001);
+    const { claims, duplicates, invalid } = claimParcels(parcels, 20);
+    expect([...claims.keys()]).toEqual([12]);
+    expect(claims.get(12).id).toBe(child(1));
+    expect(duplicates).toMatchObject([{ id: child(4), txIndex: 12, claimedBy: child(1) }]);
+    expect(invalid).toMatchObject([{ id: child(5), reason: 'Not a canonical parcel name' }]);
+  });
+
+  it('rejects claims past the last transaction', () => {
+    const { claims, invalid } = claimParcels([{ id: 'p', parcelName: '12.840001.bitmap' }], 12);
+    expect(claims.size).toBe(0);
+    expect(invalid).toMatchObject([{ id: 'p', txIndex: 12, reason: 'Block has no transaction 12' }]);
+  });
+});
+
+describe('buildClaimMap', () => {
+  it('lists the squares nobody has claimed', () => {
+    const txList = Array.from({ length: 3 }, (_, i) => ({ txid: `tx${i}` }));
+    const claimMap = buildClaimMap(840001, txList, [{ id: 'p', parcelName: '1.840001.bitmap', childNumber: 1 }]);
+    expect(claimMap).toMatchObject({ transactions: 3, claimed: 1, available: [0, 2] });
+    expect(claimMap.squares[1].parcel).toEqual({ id: 'p', parcelName: '1.840001.bitmap', childNumber: 1 });
+    expect(availableParcelNames(claimMap)).toEqual(['0.840001.bitmap', '2.840001.bitmap']);
+  });
+});
@@ -0,0 +1,26 @@
+import { readFileSync } from 'fs';
+
+// An `ordinals` fetcher answering from responses recorded in fixtures/<name>.json,
+// keyed by ord path. `requested` lists every path asked for, in order.
+// npm run record:fixtures records real bitmaps as fixtures/bitmap-<number>.json; the
+// other fixtures are small hand-built cases for edges real bitmaps rarely show.
+export function recordedOrdinals(name) {
+  const responses = JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+  const requested = [];
+  const get = async (ordPath) => {
+    requested.push(ordPath);
+    if (!(ordPath in responses)) throw new Error(`No recorded response for ${ordPath}`);
+    return responses[ordPath];
+  };
+  return {
+    requested,
+    async text(ordPath) {
+      const response = await get(ordPath);
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    },
+    async json(ordPath) {
+      const response = await get(ordPath);
+      return typeof response === 'string' ? JSON.parse(response) : structuredClone(response);
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { PAGE_SIZE, SAT_INDEX_PAGES, parseSatIndexPage, createSatIndex } from '../satIndex';
+import { encodeSatIndex, getIndexedCount, isOutdatedSatIndex, readSat } from '../satIndexBinary';
+import { recordedOrdinals } from './recorded';
+
+// Pages 2 and 3 were inscribed as one flat list: 100,000 sat deltas, then 100,000 offsets
+function flatPage(firstSat) {
+  const deltas = Array.from({ length: PAGE_SIZE }, (_, i) => (i === 0 ? firstSat : 1));
+  const offsets = Array.from({ length: PAGE_SIZE }, (_, i) => i);
+  return [...deltas, ...offsets].join(',');
+}
+
+describe('parseSatIndexPage', () => {
+  it('decodes a double-encoded page with stray whitespace', async () => {
+    const raw = await recordedOrdinals('satIndex').text(SAT_INDEX_PAGES[0]);
+    const sats = parseSatIndexPage(raw, 0);
+    expect(sats).toHaveLength(PAGE_SIZE);
+    expect(sats[0]).toBe(1000);
+    expect(sats[3]).toBe(1005);
+    expect(sats[99999]).toBe(1025);
+    expect(sats[7]).toBe(1234567890122465);
+    expect(sats[1]).toBe(0);
+  });
+
+  it.each([2, 3])('adds the missing brackets to page %i', (page) => {
+    const sats = parseSatIndexPage(flatPage(7000), page);
+    expect(sats).toHaveLength(PAGE_SIZE);
+    expect(sats[0]).toBe(7000);
+    expect(sats[5]).toBe(7005);
+    expect(sats[99998]).toBe(7000 + 99998);
+    expect(sats[99999]).toBe(7000 + 99999);
+  });
+});
+
+describe('createSatIndex', () => {
+  it('loads a page once and answers from it', async () => {
+    const ordinals = recordedOrdinals('satIndex');
+    const satIndex = createSatIndex(ordinals);
+    expect(await satIndex.getBitmapSat(3)).toBe(1005);
+    expect(await satIndex.getBitmapSat(99999)).toBe(1025);
+    expect(ordinals.requested).toEqual([SAT_INDEX_PAGES[0]]);
+  });
+
+  it('answers the first and last bitmap of each flat page', async () => {
+    const pages = { [SAT_INDEX_PAGES[2]]: flatPage(7000), [SAT_INDEX_PAGES[3]]: flatPage(900000) };
+    const satIndex = createSatIndex({ text: async (ordPath) => pages[ordPath] });
+    expect(await satIndex.getBitmapSat(200000)).toBe(7000);
+    expect(await satIndex.getBitmapSat(299999)).toBe(7000 + 99999);
+    expect(await satIndex.getBitmapSat(300000)).toBe(900000);
+    expect(await satIndex.getBitmapSat(399999)).toBe(900000 + 99999);
+  });
+
+  it('rejects bitmaps past the index', async () => {
+    const satIndex = createSatIndex(recordedOrdinals('satIndex'));
+    await expect(satIndex.getBitmapSat(840000)).rejects.toThrow('between 0 and 839,999');
+  });
+});
+
+describe('binary sat index', () => {
+  it('reads back what it encoded', async () => {
+    const raw = await recordedOrdinals('satIndex').text(SAT_INDEX_PAGES[0]);
+    const buffer = encodeSatIndex([parseSatIndexPage(raw, 0)], 8);
+    expect(getIndexedCount(buffer)).toBe(8);
+    expect(readSat(buffer, 0)).toBe(1000);
+    expect(readSat(buffer, 3)).toBe(1005);
+    expect(readSat(buffer, 7)).toBe(1234567890122465);
+  });
+
+  it('answers null for bitmaps without a sat or outside the file', () => {
+    const buffer = encodeSatIndex([[1000, 0]], 2);
+    expect(readSat(buffer, 1)).toBeNull();
+    expect(readSat(buffer, 2)).toBeNull();
+    expect(readSat(buffer, -1)).toBeNull();
+  });
+
+  it('keeps the last bitmap of a page in the file', () => {
+    const page = parseSatIndexPage(flatPage(7000), 2);
+    const buffer = encodeSatIndex([page, page], 2 * PAGE_SIZE);
+    expect(readSat(buffer, PAGE_SIZE - 1)).toBe(7000 + 99999);
+    expect(readSat(buffer, PAGE_SIZE)).toBe(7000);
+    expect(readSat(buffer, 2 * PAGE_SIZE - 1)).toBe(7000 + 99999);
+  });
+
+  it('flags files from the version that dropped those bitmaps', () => {
+    const buffer = encodeSatIndex([[1000]], 1);
+    expect(isOutdatedSatIndex(buffer)).toBe(false);
+    buffer.writeUInt32LE(1, 4);
+    expect(isOutdatedSatIndex(buffer)).toBe(true);
+    expect(isOutdatedSatIndex(Buffer.from('not an index file'))).toBe(false);
+  });
+
+  it('refuses files that are not a sat index', () => {
+    expect(() => getIndexedCount(Buffer.from('not an index file'))).toThrow('Not a bitmap sat index file');
+  });
+});
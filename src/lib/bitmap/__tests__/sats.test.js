@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { parseBitmapText, checkBitmapRules, isValidBitmap, mayBeBitmapText, listSatInscriptions, findBitmapOnSat, findBitmapTextsInBlock } from '../sats';
+import { resolveBitmapInscription } from '../inscriptions';
+import { recordedOrdinals } from './recorded';
+
+const VALID = `${'a'.repeat(63)}4i0`;
+
+describe('parseBitmapText', () => {
+  it('accepts exactly "N.bitmap"', () => {
+    expect(parseBitmapText('840001.bitmap')).toBe(840001);
+    expect(parseBitmapText('0.bitmap')).toBe(0);
+  });
+
+  it.each(['840001.bitmap\n', ' 840001.bitmap', '0840001.bitmap', '840001.Bitmap', '840001.bitmap.bitmap', 'hello'])(
+    'rejects %j',
+    (text) => {
+      expect(parseBitmapText(text)).toBeNull();
+    }
+  );
+});
+
+describe('checkBitmapRules', () => {
+  it('needs the exact content and a height at or after the block', () => {
+    expect(checkBitmapRules(840001, { content: '840001.bitmap', height: 840001 })).toEqual({ content: true, height: true });
+    expect(checkBitmapRules(840001, { content: '840002.bitmap', height: 840000 })).toEqual({ content: false, height: false });
+    expect(isValidBitmap(840001, { content: '840001.bitmap', height: undefined })).toBe(false);
+  });
+});
+
+describe('mayBeBitmapText', () => {
+  it('keeps short plain text and metadata that says nothing', () => {
+    expect(mayBeBitmapText({ content_type: 'text/plain;charset=utf-8', content_length: 13 })).toBe(true);
+    expect(mayBeBitmapText({ content_type: 'text/plain', content_length: 13 })).toBe(true);
+    expect(mayBeBitmapText({})).toBe(true);
+  });
+
+  it('rules out other content types and long texts', () => {
+    expect(mayBeBitmapText({ content_type: 'image/png', content_length: 13 })).toBe(false);
+    expect(mayBeBitmapText({ content_type: 'text/plainish', content_length: 13 })).toBe(false);
+    expect(mayBeBitmapText({ content_type: 'text/plain', content_length: 4096 })).toBe(false);
+  });
+});
+
+describe('findBitmapOnSat', () => {
+  it('pages through the sat and skips look-alikes and early inscriptions', async () => {
+    const ordinals = recordedOrdinals('sats');
+    expect(await findBitmapOnSat(ordinals, 500)).toEqual({
+      bitmapNumber: 840001,
+      inscriptionId: VALID,
+      inscriptionNumber: 77,
+      sat: 500,
+      satIndex: 4,
+    });
+    expect(ordinals.requested).toContain('/r/sat/500/1');
+  });
+
+  it('never downloads content the metadata rules out', async () => {
+    const ordinals = recordedOrdinals('sats');
+    await findBitmapOnSat(ordinals, 500);
+    expect(ordinals.requested).toContain(`/r/inscription/${'a'.repeat(63)}5i0`);
+    expect(ordinals.requested).not.toContain(`/content/${'a'.repeat(63)}5i0`);
+  });
+
+  it('answers null for a sat without a bitmap', async () => {
+    expect(await findBitmapOnSat(recordedOrdinals('sats'), 600)).toBeNull();
+  });
+
+  it('lists every inscription on the sat', async () => {
+    expect(await listSatInscriptions(recordedOrdinals('sats'), 500)).toHaveLength(5);
+  });
+
+  it('only resolves the bitmap the sat carries', async () => {
+    const ordinals = recordedOrdinals('sats');
+    expect((await resolveBitmapInscription(ordinals, 840001, 500)).inscriptionId).toBe(VALID);
+    expect(await resolveBitmapInscription(ordinals, 840002, 500)).toBeNull();
+  });
+});
+
+describe('findBitmapTextsInBlock', () => {
+  it('finds the inscriptions in a block that read "N.bitmap"', async () => {
+    expect(await findBitmapTextsInBlock(recordedOrdinals('sats'), 840001, 840005)).toEqual([
+      { inscriptionId: VALID, inscriptionNumber: 77, sat: 500 },
+    ]);
+  });
+
+  it('pages through the block without downloading what the metadata rules out', async () => {
+    const ordinals = recordedOrdinals('sats');
+    expect(await findBitmapTextsInBlock(ordinals, 840001, 840003)).toEqual([]);
+    expect(ordinals.requested).toContain('/inscriptions/block/840003/1');
+    expect(ordinals.requested).not.toContain(`/content/${'a'.repeat(63)}5i0`);
+  });
+});
@@ -0,0 +1,85 @@
+// ord serves children 100 at a time: /r/children/:id, then /r/children/:id/:page while `more` is set
+export async function* iterateChildPages(ordinals, inscriptionId) {
+  for (let page = 0; ; page++) {
+    const path = page === 0 ? `/r/children/${inscriptionId}` : `/r/children/${inscriptionId}/${page}`;
+    const data = await ordinals.json(path);
+    yield data.ids || data.children || [];
+    if (!data.more) return;
+  }
+}
+
+export async function listAllChildren(ordinals, inscriptionId) {
+  const ids = [];
+  for await (const pageIds of iterateChildPages(ordinals, inscriptionId)) {
+    ids.push(...pageIds);
+  }
+  return ids;
+}
+
+// A parcel's content is exactly "N.<bitmap>.bitmap"
+export function isParcelName(text, bitmapNumber) {
+  return new RegExp(`^\\d+\\.${bitmapNumber}\\.bitmap$`, 'i').test(text.trim());
+}
+
+export async function getContentType(ordinals, inscriptionId) {
+  try {
+    const info = await ordinals.json(`/r/inscription/${inscriptionId}`);
+    return info.content_type || 'unknown';
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+export async function classifyChild(ordinals, childId, index, bitmapNumber) {
+  const contentType = await getContentType(ordinals, childId);
+  const child = {
+    id: childId,
+    childNumber: index + 1,
+    contentType,
+    isParcel: false,
+    hasImage: contentType.startsWith('image/') || contentType.includes('html'),
+    detailsLoaded: false,
+  };
+
+  // Only text/plain children can be parcels
+  if (contentType.includes('text/plain')) {
+    try {
+      const contentText = (await ordinals.text(`/content/${childId}`)).trim();
+      if (isParcelName(contentText, bitmapNumber)) {
+        child.isParcel = true;
+        child.parcelName = contentText;
+      }
+    } catch (e) { }
+  }
+  return child;
+}
+
+// Split a bitmap's children into parcels and other children, page by page.
+// `onPage` sees each classified page as it arrives and can return false to stop early.
+export async function fetchParcels(ordinals, bitmapInscriptionId, bitmapNumber, { onPage } = {}) {
+  const parcels = [];
+  const otherChildren = [];
+  for await (const childrenIds of iterateChildPages(ordinals, bitmapInscriptionId)) {
+    const offset = parcels.length + otherChildren.length;
+    const classified = await Promise.all(
+      childrenIds.map((childId, i) => classifyChild(ordinals, childId, offset + i, bitmapNumber))
+    );
+    const pageParcels = classified.filter((child) => child.isParcel);
+    const pageOtherChildren = classified.filter((child) => !child.isParcel);
+    parcels.push(...pageParcels);
+    otherChildren.push(...pageOtherChildren);
+    if (onPage && onPage({ parcels: pageParcels, otherChildren: pageOtherChildren, loaded: parcels.length + otherChildren.length }) === false) {
+      break;
+    }
+  }
+  return { parcels, otherChildren };
+}
+
+export async function getChildrenInfo(ordinals, childrenIds) {
+  return Promise.all(
+    childrenIds.map(async (childId) => {
+      const contentType = await getContentType(ordinals, childId);
+      return { id: childId, contentType, hasImage: contentType.startsWith('image/') };
+    })
+  );
+}
@@ -0,0 +1,97 @@
+// How the 3D district turns data into buildings. Mappings see one square at a time as
+// { tx, width, parcel, details, hasClaims }: the square's transaction, its footprint in
+// world units, the parcel claiming it (or null), that parcel's { owner, childCount,
+// contentType } once loaded, and whether the district has any claims at all.
+// Modes flagged `needsDetails` only make sense once parcel details are loaded.
+
+const logHeight = (value, scale) => 2 + scale * Math.log10(Math.max(1, value || 0));
+
+// Building height in world units
+export const HEIGHT_MODES_3D = {
+  footprint: { label: 'Footprint', height: ({ width }) => width * 0.5 + 2 },
+  vsize: { label: 'Virtual size', height: ({ tx }) => logHeight(tx.vsize, 8) },
+  fee: { label: 'Fee', height: ({ tx }) => logHeight(tx.fee, 6) },
+  value: { label: 'Output value', height: ({ tx }) => logHeight(tx.value, 4) },
+  children: {
+    label: 'Parcel children',
+    needsDetails: true,
+    height: ({ details }) => 2 + 8 * Math.sqrt(details?.childCount || 0),
+  },
+};
+
+export const DEFAULT_HEIGHT_MODE_3D = 'footprint';
+
+const TX_COLOR = '#ff6600';
+const CLAIMED_COLOR = '#ff8c00';
+const UNCLAIMED_COLOR = '#4a3426';
+const UNKNOWN_COLOR = '#9ca3af';
+const MAX_OWNERS_IN_LEGEND = 6;
+
+// Every owner keeps the same hue wherever their parcels are
+export function ownerColor(owner) {
+  let hash = 0;
+  for (let i = 0; i < owner.length; i++) hash = (hash * 31 + owner.charCodeAt(i)) | 0;
+  return `hsl(${Math.abs(hash) % 360}, 75%, 55%)`;
+}
+
+const CONTENT_CATEGORIES = [
+  { label: 'Image children', color: '#38bdf8', matches: (type) => type.startsWith('image/') },
+  { label: 'HTML children', color: '#a855f7', matches: (type) => type.includes('html') },
+  { label: 'Text children', color: '#facc15', matches: (type) => type.startsWith('text/') },
+  { label: 'Other children', color: '#f472b6', matches: () => true },
+];
+
+export const COLOR_MODES_3D = {
+  claimed: {
+    label: 'Claimed / unclaimed',
+    color: ({ parcel, hasClaims }) => {
+      if (parcel) return CLAIMED_COLOR;
+      return hasClaims ? UNCLAIMED_COLOR : TX_COLOR;
+    },
+    legend: () => [
+      { label: 'Claimed by a parcel', color: CLAIMED_COLOR },
+      { label: 'Unclaimed', color: UNCLAIMED_COLOR },
+    ],
+  },
+  owner: {
+    label: 'Parcel owner',
+    needsDetails: true,
+    color: ({ parcel, details }) => {
+      if (!parcel) return UNCLAIMED_COLOR;
+      return details?.owner ? ownerColor(details.owner) : UNKNOWN_COLOR;
+    },
+    // The biggest holders by parcel count
+    legend: (detailsList) => {
+      const counts = new Map();
+      detailsList.forEach(({ owner }) => owner && counts.set(owner, (counts.get(owner) || 0) + 1));
+      const owners = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+      return [
+        ...owners.slice(0, MAX_OWNERS_IN_LEGEND).map(([owner, count]) => ({
+          label: `${owner.slice(0, 6)}...${owner.slice(-4)} (${count})`,
+          color: ownerColor(owner),
+        })),
+        ...(owners.length > MAX_OWNERS_IN_LEGEND
+          ? [{ label: `${owners.length - MAX_OWNERS_IN_LEGEND} more owners`, color: 'transparent' }]
+          : []),
+        { label: 'Owner unknown', color: UNKNOWN_COLOR },
+        { label: 'Unclaimed', color: UNCLAIMED_COLOR },
+      ];
+    },
+  },
+  contentType: {
+    label: "Parcel children's content",
+    needsDetails: true,
+    color: ({ parcel, details }) => {
+      if (!parcel) return UNCLAIMED_COLOR;
+      if (!details?.contentType) return UNKNOWN_COLOR;
+      return CONTENT_CATEGORIES.find((category) => category.matches(details.contentType)).color;
+    },
+    legend: () => [
+      ...CONTENT_CATEGORIES.map(({ label, color }) => ({ label, color })),
+      { label: 'No children', color: UNKNOWN_COLOR },
+      { label: 'Unclaimed', color: UNCLAIMED_COLOR },
+    ],
+  },
+};
+
+export const DEFAULT_COLOR_MODE_3D = 'claimed';
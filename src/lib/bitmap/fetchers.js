@@ -0,0 +1,43 @@
+// Browser-side ordinals fetcher that goes through our /api/ordinals proxy.
+// Server code passes `serverOrdinals` from '@/lib/ordinals' instead.
+async function proxyFetch(path) {
+  const response = await fetch(`/api/ordinals?path=${encodeURIComponent(path)}`);
+  if (!response.ok) throw new Error(`Ordinals request failed (${response.status}) for ${path}`);
+  return response;
+}
+
+export const proxyOrdinals = {
+  text: async (path) => (await proxyFetch(path)).text(),
+  json: async (path) => (await proxyFetch(path)).json(),
+};
+
+// Sat lookups answered by /api/bitmap/[number]/sat from the server's packed
+// index, so the browser never downloads the index pages itself. Bitmaps past
+// the index also need one of their inscriptions the first time they are looked up.
+export async function fetchBitmapSat(bitmapNum, inscriptionId = null) {
+  const query = inscriptionId ? `?inscription=${inscriptionId}` : '';
+  const response = await fetch(`/api/bitmap/${bitmapNum}/sat${query}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Sat lookup failed (${response.status})`);
+  return data;
+}
+
+// Block and transaction data come from the server's block providers. Errors carry
+// what every provider reported when none of them could answer.
+async function fetchBlockApi(path) {
+  const response = await fetch(path);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const details = (data.providers || []).map((p) => `${p.provider}: ${p.error}`).join('; ');
+    throw new Error(`${data.error || `Request failed (${response.status})`}${details ? ` (${details})` : ''}`);
+  }
+  return data;
+}
+
+export function fetchBlockData(height) {
+  return fetchBlockApi(`/api/blocks/${height}`);
+}
+
+export function fetchTransaction(txid) {
+  return fetchBlockApi(`/api/tx/${txid}`);
+}
@@ -0,0 +1,41 @@
+// Bitmap data layer shared by the explorer UI and server routes.
+// Every function takes an `ordinals` fetcher - { text(path), json(path) } for
+// ord-style paths - so callers choose the transport and tests can inject fixtures.
+export { SAT_INDEX_PAGES, PAGE_SIZE, MAX_INDEXED_BITMAP, parseSatIndexPage, createSatIndex } from './satIndex';
+export { resolveBitmapInscription, getInscriptionOwner } from './inscriptions';
+export {
+  iterateChildPages,
+  listAllChildren,
+  isParcelName,
+  getContentType,
+  classifyChild,
+  fetchParcels,
+  getChildrenInfo,
+} from './children';
+export {
+  parseParcelIndex,
+  claimParcels,
+  buildClaimMap,
+  availableParcelNames,
+  getParcelDetails,
+} from './parcels';
+export {
+  iterateSatInscriptionPages,
+  listSatInscriptions,
+  parseBitmapText,
+  checkBitmapRules,
+  isValidBitmap,
+  mayBeBitmapText,
+  findBitmapOnSat,
+  iterateBlockInscriptionPages,
+  findBitmapTextsInBlock,
+} from './sats';
+export { verifyBitmapInscription } from './verify';
+export { SIZE_MODES, DEFAULT_SIZE_MODE, COLOR_MODES, DEFAULT_COLOR_MODE, layoutMondrian } from './mondrian';
+export {
+  HEIGHT_MODES_3D,
+  DEFAULT_HEIGHT_MODE_3D,
+  COLOR_MODES_3D,
+  DEFAULT_COLOR_MODE_3D,
+  ownerColor,
+} from './city';
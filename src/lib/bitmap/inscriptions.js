@@ -0,0 +1,24 @@
+import { findBitmapOnSat } from './sats';
+
+// A bitmap's valid inscription is the first valid "N.bitmap" on its sat - anything
+// after it is a reinscription. Returns { bitmapNumber, inscriptionId, inscriptionNumber, sat, satIndex }
+// or null when the sat's first valid bitmap is some other number (or none at all).
+export async function resolveBitmapInscription(ordinals, bitmapNum, sat) {
+  const found = await findBitmapOnSat(ordinals, sat);
+  return found && found.bitmapNumber === bitmapNum ? found : null;
+}
+
+// Returns the owning address, or null when no backend can tell us
+export async function getInscriptionOwner(ordinals, inscriptionId) {
+  try {
+    // Recursive endpoint first - not every ordinals backend serves the HTML page
+    const info = await ordinals.json(`/r/inscription/${inscriptionId}`);
+    if (info.address) return info.address;
+  } catch (e) { }
+  try {
+    const html = await ordinals.text(`/inscription/${inscriptionId}`);
+    const addressMatch = html.match(/href=\/address\/([a-z0-9]+)>/);
+    if (addressMatch) return addressMatch[1];
+  } catch (e) { }
+  return null;
+}
@@ -0,0 +1,220 @@
+// How a block's transactions become Mondrian squares. Every tx is in the shape
+// served by /api/blocks/[height]: { vsize, fee, value, segwit, taproot, inscription, coinbase, ... }
+
+function logScale(value, offset) {
+  if (!value || value <= 0) return 1;
+  return Math.max(1, Math.ceil(Math.log10(value)) - offset);
+}
+
+// Square side length in grid cells
+export const SIZE_MODES = {
+  value: { label: 'Output value', size: (tx) => logScale(tx.value, 5) },
+  // Area grows with vsize, about one cell per 250 vB
+  vsize: { label: 'Virtual size', size: (tx) => Math.max(1, Math.round(Math.sqrt((tx.vsize || 0) / 250))) },
+  fee: { label: 'Fee', size: (tx) => logScale(tx.fee, 2) },
+};
+
+// The explorer has always sized squares by output value
+export const DEFAULT_SIZE_MODE = 'value';
+
+const ORANGE = 'rgb(255, 140, 0)';
+const MAX_FEE_RATE = 500;
+
+function feeRateColor(rate) {
+  // Log scale from 1 sat/vB (blue) to MAX_FEE_RATE and up (red)
+  const t = Math.min(1, Math.max(0, Math.log(Math.max(rate, 1)) / Math.log(MAX_FEE_RATE)));
+  return `hsl(${Math.round(220 * (1 - t))}, 90%, 55%)`;
+}
+
+export const COLOR_MODES = {
+  default: {
+    label: 'Bitmap orange',
+    color: () => ORANGE,
+    legend: [{ label: 'Transaction', color: ORANGE }],
+  },
+  feeRate: {
+    label: 'Fee rate',
+    color: (tx) => (tx.coinbase ? '#facc15' : feeRateColor(tx.fee / (tx.vsize || 1))),
+    legend: [
+      ...[1, 5, 20, 100, MAX_FEE_RATE].map((rate) => ({
+        label: `${rate}${rate === MAX_FEE_RATE ? '+' : ''} sat/vB`,
+        color: feeRateColor(rate),
+      })),
+      { label: 'Coinbase', color: '#facc15' },
+    ],
+  },
+  txType: {
+    label: 'SegWit / Taproot',
+    color: (tx) => {
+      if (tx.coinbase) return '#facc15';
+      if (tx.taproot) return '#a855f7';
+      if (tx.segwit) return '#3b82f6';
+      return '#9ca3af';
+    },
+    legend: [
+      { label: 'Taproot', color: '#a855f7' },
+      { label: 'SegWit', color: '#3b82f6' },
+      { label: 'Legacy', color: '#9ca3af' },
+      { label: 'Coinbase', color: '#facc15' },
+    ],
+  },
+  inscription: {
+    label: 'Inscriptions',
+    color: (tx) => (tx.inscription ? ORANGE : '#4b5563'),
+    legend: [
+      { label: 'Carries an inscription', color: ORANGE },
+      { label: 'Other', color: '#4b5563' },
+    ],
+  },
+};
+
+export const DEFAULT_COLOR_MODE = 'default';
+
+// Packs squares into rows of a fixed width, each into the first free slot big enough
+class MondrianLayout {
+  constructor(width) {
+    this.width = width;
+    this.rowOffset = 0;
+    this.rows = [];
+  }
+  getRow(position) {
+    return this.rows[position.y - this.rowOffset];
+  }
+  getSlot(position) {
+    if (this.getRow(position)) {
+      return this.getRow(position).map[position.x];
+    }
+  }
+  addRow() {
+    const newRow = { y: this.rows.length + this.rowOffset, slots: [], map: {}, max: 0 };
+    this.rows.push(newRow);
+    return newRow;
+  }
+  addSlot(slot) {
+    if (slot.r <= 0) return;
+    if (this.getSlot(slot)) {
+      const existingSlot = this.getSlot(slot);
+      if (slot.r > existingSlot.r) existingSlot.r = slot.r;
+      return existingSlot;
+    } else {
+      let insertAt = null;
+      const row = this.getRow(slot);
+      if (!row) return;
+      for (let i = 0; i < row.slots.length && insertAt == null; i++) {
+        if (row.slots[i].x > slot.x) insertAt = i;
+      }
+      if (insertAt == null) row.slots.push(slot);
+      else row.slots.splice(insertAt || 0, 0, slot);
+      row.map[slot.x] = slot;
+      return slot;
+    }
+  }
+  removeSlot(slot) {
+    const row = this.getRow(slot);
+    if (row) {
+      delete row.map[slot.x];
+      let indexOf = row.slots.indexOf(slot);
+      row.slots.splice(indexOf, 1);
+    }
+  }
+  fillSlot(slot, squareWidth) {
+    const square = { left: slot.x, right: slot.x + squareWidth, bottom: slot.y, top: slot.y + squareWidth };
+    this.removeSlot(slot);
+    for (let rowIndex = slot.y; rowIndex < square.top; rowIndex++) {
+      const row = this.getRow({ y: rowIndex });
+      if (row) {
+        let collisions = [];
+        let maxExcess = 0;
+        for (let i = 0; i < row.slots.length; i++) {
+          const testSlot = row.slots[i];
+          if (!(testSlot.x + testSlot.r < square.left || testSlot.x >= square.right)) {
+            collisions.push(testSlot);
+            let excess = Math.max(0, testSlot.x + testSlot.r - (slot.x + slot.r));
+            maxExcess = Math.max(maxExcess, excess);
+          }
+        }
+        if (square.right < this.width && !row.map[square.right]) {
+          this.addSlot({ x: square.right, y: rowIndex, r: slot.r - squareWidth + maxExcess });
+        }
+        for (let i = 0; i < collisions.length; i++) {
+          collisions[i].r = slot.x - collisions[i].x;
+          if (collisions[i].r <= 0) this.removeSlot(collisions[i]);
+        }
+      } else {
+        this.addRow();
+        if (slot.x > 0) this.addSlot({ x: 0, y: rowIndex, r: slot.x });
+        if (square.right < this.width) this.addSlot({ x: square.right, y: rowIndex, r: this.width - square.right });
+      }
+    }
+    for (let rowIndex = Math.max(0, slot.y - squareWidth); rowIndex < slot.y; rowIndex++) {
+      const row = this.getRow({ y: rowIndex });
+      if (row) {
+        for (let i = 0; i < row.slots.length; i++) {
+          const testSlot = row.slots[i];
+          if (testSlot.x < slot.x + squareWidth && testSlot.x + testSlot.r > slot.x && testSlot.y + testSlot.r >= slot.y) {
+            const oldSlotWidth = testSlot.r;
+            testSlot.r = slot.y - testSlot.y;
+            if (testSlot.r <= 0) this.removeSlot(testSlot);
+            let remaining = { x: testSlot.x + testSlot.r, y: testSlot.y, w: oldSlotWidth - testSlot.r, h: testSlot.r };
+            while (remaining.w > 0 && remaining.h > 0) {
+              if (remaining.w <= remaining.h) {
+                this.addSlot({ x: remaining.x, y: remaining.y, r: remaining.w });
+                remaining.y += remaining.w;
+                remaining.h -= remaining.w;
+              } else {
+                this.addSlot({ x: remaining.x, y: remaining.y, r: remaining.h });
+                remaining.x += remaining.h;
+                remaining.w -= remaining.h;
+              }
+            }
+          }
+        }
+      }
+    }
+    return { x: slot.x, y: slot.y, r: squareWidth };
+  }
+  place(size) {
+    let found = false;
+    let rowIndex = 0;
+    let slotIndex = 0;
+    let square = null;
+    while (!found && rowIndex < this.rows.length) {
+      const row = this.rows[rowIndex];
+      while (!found && slotIndex < row.slots.length) {
+        const testSlot = row.slots[slotIndex];
+        if (testSlot.r >= size) {
+          found = true;
+          square = this.fillSlot(testSlot, size);
+        }
+        slotIndex++;
+      }
+      slotIndex = 0;
+      rowIndex++;
+    }
+    if (!found) {
+      const row = this.addRow();
+      const slot = this.addSlot({ x: 0, y: row.y, r: this.width });
+      square = this.fillSlot(slot, size);
+    }
+    return square;
+  }
+}
+
+// Lay out a block's transactions in block order. Coordinates and sizes are in grid
+// cells; every square keeps its transaction and its index in the block.
+export function layoutMondrian(transactions, { sizeMode = DEFAULT_SIZE_MODE, colorMode = DEFAULT_COLOR_MODE } = {}) {
+  const txSize = SIZE_MODES[sizeMode].size;
+  const txColor = COLOR_MODES[colorMode].color;
+  const sizes = transactions.map(txSize);
+  const width = Math.ceil(Math.sqrt(sizes.reduce((total, size) => total + size * size, 0)));
+
+  const layout = new MondrianLayout(width);
+  let height = 0;
+  const squares = transactions.map((tx, index) => {
+    const square = layout.place(sizes[index]);
+    height = Math.max(height, square.y + square.r);
+    return { index, txid: tx.txid, x: square.x, y: square.y, size: square.r, color: txColor(tx), tx };
+  });
+
+  return { width, height, squares };
+}
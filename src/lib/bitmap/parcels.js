@@ -0,0 +1,79 @@
+import { listAllChildren, getContentType } from './children';
+import { getInscriptionOwner } from './inscriptions';
+
+// Parcel "N.<bitmap>.bitmap" claims transaction N of the bitmap's block
+
+// Returns N for a canonical parcel name (no leading zeros), or null
+export function parseParcelIndex(parcelName) {
+  const match = (parcelName || '').trim().match(/^(0|[1-9]\d*)\.\d+\.bitmap$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Map tx indices to the parcels claiming them. Parcels are taken in inscription
+// order, so the first valid claim on an index wins and later ones are duplicates.
+export function claimParcels(parcels, txCount = Infinity) {
+  const claims = new Map();
+  const duplicates = [];
+  const invalid = [];
+  for (const parcel of parcels) {
+    const txIndex = parseParcelIndex(parcel.parcelName);
+    if (txIndex === null) {
+      invalid.push({ ...parcel, reason: 'Not a canonical parcel name' });
+    } else if (txIndex >= txCount) {
+      invalid.push({ ...parcel, txIndex, reason: `Block has no transaction ${txIndex}` });
+    } else if (claims.has(txIndex)) {
+      duplicates.push({ ...parcel, txIndex, claimedBy: claims.get(txIndex).id });
+    } else {
+      claims.set(txIndex, { ...parcel, txIndex });
+    }
+  }
+  return { claims, duplicates, invalid };
+}
+
+const parcelSummary = ({ id, parcelName, childNumber }) => ({ id, parcelName, childNumber });
+
+// Cross-reference every transaction of the block with the parcel claiming it.
+// `available` lists the tx indices nobody has claimed yet.
+export function buildClaimMap(bitmapNumber, txList, parcels) {
+  const { claims, duplicates, invalid } = claimParcels(parcels, txList.length);
+  const squares = txList.map((tx, txIndex) => {
+    const parcel = claims.get(txIndex);
+    return { txIndex, txid: tx.txid, parcel: parcel ? parcelSummary(parcel) : null };
+  });
+  return {
+    bitmapNumber,
+    transactions: txList.length,
+    claimed: claims.size,
+    available: squares.filter((square) => !square.parcel).map((square) => square.txIndex),
+    squares,
+    duplicates: duplicates.map((parcel) => ({ ...parcelSummary(parcel), txIndex: parcel.txIndex, claimedBy: parcel.claimedBy })),
+    invalid: invalid.map((parcel) => ({ ...parcelSummary(parcel), reason: parcel.reason })),
+  };
+}
+
+export function availableParcelNames({ bitmapNumber, available }) {
+  return available.map((txIndex) => `${txIndex}.${bitmapNumber}.bitmap`);
+}
+
+// Who holds a parcel and what has been inscribed on it: { owner, childCount, contentType,
+// preview } with contentType the most common among its children (null without children)
+// and preview the newest image child - or HTML child, without images - as { id, contentType }.
+// childCount is null when the children couldn't be listed.
+export async function getParcelDetails(ordinals, parcelId) {
+  const [owner, childIds] = await Promise.all([
+    getInscriptionOwner(ordinals, parcelId),
+    listAllChildren(ordinals, parcelId).catch(() => null),
+  ]);
+  if (!childIds) return { owner, childCount: null, contentType: null, preview: null };
+  const counts = new Map();
+  let image = null;
+  let html = null;
+  for (const childId of childIds) {
+    const contentType = await getContentType(ordinals, childId);
+    counts.set(contentType, (counts.get(contentType) || 0) + 1);
+    if (contentType.startsWith('image/')) image = { id: childId, contentType };
+    else if (contentType.includes('html')) html = { id: childId, contentType };
+  }
+  const [contentType = null] = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([type]) => type);
+  return { owner, childCount: childIds.length, contentType, preview: image || html };
+}
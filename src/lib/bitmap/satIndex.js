@@ -0,0 +1,67 @@
+// The bitmap sat index is inscribed on-chain in pages of 100,000 bitmaps:
+// page N holds the sat of every bitmap from N * 100000 to N * 100000 + 99999
+export const SAT_INDEX_PAGES = [
+  '/content/01bba6c58af39d7f199aa2bceeaaba1ba91b23d2663bc4ef079a4b5e442dbf74i0',
+  '/content/bb01dfa977a5cd0ee6e900f1d1f896b5ec4b1e3c7b18f09c952f25af6591809fi0',
+  '/content/bb02e94f3062facf6aa2e47eeed348d017fd31c97614170dddb58fc59da304efi0',
+  '/content/bb037ec98e6700e8415f95d1f5ca1fe1ba23a3f0c5cb7284d877e9ac418d0d32i0',
+  '/content/bb9438f4345f223c6f4f92adf6db12a82c45d1724019ecd7b6af4fcc3f5786cei0',
+  '/content/bb0542d4606a9e7eb4f31051e91f7696040db06ca1383dff98505618c34d7df7i0',
+  '/content/bb06a4dffba42b6b513ddee452b40a67688562be4a1345127e4d57269e6b2ab6i0',
+  '/content/bb076934c1c22007b315dd1dc0f8c4a2f9d52f348320cfbadc7c0bd99eaa5e18i0',
+  '/content/bb986a1208380ec7db8df55a01c88c73a581069a51b5a2eb2734b41ba10b65c2i0',
+];
+
+export const PAGE_SIZE = 100000;
+export const MAX_INDEXED_BITMAP = 839999; // The last page stops short of 899,999
+
+// Each page is [deltaEncodedSats, bitmapOffsets]. Pages 2 and 3 were inscribed
+// without the outer brackets and the others with stray whitespace, hence the fixups.
+export function parseSatIndexPage(raw, page) {
+  let data = raw;
+  if (page === 2 || page === 3) {
+    data = JSON.parse('[' + data + ']');
+    data = [data.slice(0, PAGE_SIZE), data.slice(PAGE_SIZE, 2 * PAGE_SIZE)];
+  } else {
+    try {
+      data = JSON.parse(data.replaceAll('\\n  ', ''));
+    } catch (e) { }
+    try {
+      data = JSON.parse(data.replaceAll('  ', ''));
+    } catch (e) { }
+  }
+  const fullSats = [];
+  data[0].forEach((sat, i) => {
+    fullSats.push(i === 0 ? parseInt(sat) : parseInt(fullSats[i - 1]) + parseInt(sat));
+  });
+  const filledArray = Array(PAGE_SIZE).fill(0);
+  data[1].forEach((index, i) => {
+    filledArray[index] = fullSats[i];
+  });
+  return filledArray;
+}
+
+// Loads index pages on demand through `ordinals` and keeps them for the lifetime of the index
+export function createSatIndex(ordinals) {
+  const pages = new Map();
+
+  const fillPage = (page) => {
+    if (!pages.has(page)) {
+      const loading = ordinals.text(SAT_INDEX_PAGES[page]).then((raw) => parseSatIndexPage(raw, page));
+      loading.catch(() => pages.delete(page));
+      pages.set(page, loading);
+    }
+    return pages.get(page);
+  };
+
+  const getBitmapSat = async (bitmapNum) => {
+    if (bitmapNum < 0 || bitmapNum > MAX_INDEXED_BITMAP) {
+      throw new Error('Bitmap number must be between 0 and 839,999');
+    }
+    const page = Math.floor(bitmapNum / PAGE_SIZE);
+    const sats = await fillPage(page);
+    return sats[bitmapNum % PAGE_SIZE];
+  };
+
+  return { fillPage, getBitmapSat };
+}
@@ -0,0 +1,53 @@
+import { SAT_INDEX_PAGES, PAGE_SIZE, MAX_INDEXED_BITMAP, createSatIndex } from './satIndex.js';
+
+// Flat binary sat index: a 16 byte header ("BMSI", version, bitmap count, reserved)
+// followed by one little-endian uint64 sat per bitmap, so a lookup is a single read.
+// 0 marks a bitmap the on-chain index has no sat for.
+const MAGIC = 'BMSI';
+// Version 1 files are missing the last bitmap of pages 2 and 3
+const VERSION = 2;
+const HEADER_SIZE = 16;
+const RECORD_SIZE = 8;
+
+export function encodeSatIndex(pages, count) {
+  const buffer = Buffer.alloc(HEADER_SIZE + count * RECORD_SIZE);
+  buffer.write(MAGIC, 0, 'ascii');
+  buffer.writeUInt32LE(VERSION, 4);
+  buffer.writeUInt32LE(count, 8);
+  for (let bitmap = 0; bitmap < count; bitmap++) {
+    const sat = pages[Math.floor(bitmap / PAGE_SIZE)][bitmap % PAGE_SIZE] || 0;
+    buffer.writeBigUInt64LE(BigInt(sat), HEADER_SIZE + bitmap * RECORD_SIZE);
+  }
+  return buffer;
+}
+
+export function getIndexedCount(buffer) {
+  if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== MAGIC) {
+    throw new Error('Not a bitmap sat index file');
+  }
+  if (buffer.readUInt32LE(4) !== VERSION) {
+    throw new Error(`Unsupported sat index version ${buffer.readUInt32LE(4)}`);
+  }
+  return buffer.readUInt32LE(8);
+}
+
+// An index file written by an older version of this code, which should be rebuilt
+export function isOutdatedSatIndex(buffer) {
+  return buffer.length >= HEADER_SIZE && buffer.toString('ascii', 0, 4) === MAGIC && buffer.readUInt32LE(4) < VERSION;
+}
+
+export function readSat(buffer, bitmapNum) {
+  if (bitmapNum < 0 || bitmapNum >= getIndexedCount(buffer)) return null;
+  const sat = buffer.readBigUInt64LE(HEADER_SIZE + bitmapNum * RECORD_SIZE);
+  return sat === 0n ? null : Number(sat);
+}
+
+// Download and expand every on-chain index page once, then pack them
+export async function buildSatIndexBinary(ordinals) {
+  const satIndex = createSatIndex(ordinals);
+  const pages = [];
+  for (let page = 0; page < SAT_INDEX_PAGES.length; page++) {
+    pages.push(await satIndex.fillPage(page));
+  }
+  return encodeSatIndex(pages, MAX_INDEXED_BITMAP + 1);
+}
@@ -0,0 +1,101 @@
+// A bitmap is the first inscription on a sat whose content is exactly "N.bitmap" and
+// that was inscribed at or after block N, so a sat's inscription list is enough to
+// tell which bitmap (if any) it carries
+
+// ord lists a sat's inscriptions 100 at a time: /r/sat/:sat, then /r/sat/:sat/:page while `more` is set
+export async function* iterateSatInscriptionPages(ordinals, sat) {
+  for (let page = 0; ; page++) {
+    const path = page === 0 ? `/r/sat/${sat}` : `/r/sat/${sat}/${page}`;
+    const data = await ordinals.json(path);
+    yield data.ids || [];
+    if (!data.more) return;
+  }
+}
+
+export async function listSatInscriptions(ordinals, sat) {
+  const ids = [];
+  for await (const pageIds of iterateSatInscriptionPages(ordinals, sat)) {
+    ids.push(...pageIds);
+  }
+  return ids;
+}
+
+// Returns the bitmap number for exactly "N.bitmap" - no whitespace, case or leading
+// zero variants - or null
+export function parseBitmapText(text) {
+  const match = text.match(/^(0|[1-9]\d*)\.bitmap$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// The validity rules every bitmap check shares, given the inscription's content and
+// block height: { content, height } tells which of them it meets
+export function checkBitmapRules(bitmapNum, { content, height }) {
+  return {
+    content: parseBitmapText(content) === bitmapNum,
+    height: typeof height === 'number' && height >= bitmapNum,
+  };
+}
+
+export function isValidBitmap(bitmapNum, inscription) {
+  const rules = checkBitmapRules(bitmapNum, inscription);
+  return rules.content && rules.height;
+}
+
+// Longer than any "N.bitmap" text, with room for bitmaps far in the future
+const MAX_BITMAP_TEXT_LENGTH = 32;
+
+// Whether an inscription's metadata leaves room for "N.bitmap" content, so large
+// images and the like are never downloaded. Fields a backend leaves out don't rule it out.
+export function mayBeBitmapText({ content_type: contentType, content_length: contentLength }) {
+  if (contentType != null && !/^text\/plain(;|$)/.test(contentType)) return false;
+  if (contentLength != null && contentLength > MAX_BITMAP_TEXT_LENGTH) return false;
+  return true;
+}
+
+// Walks the sat's inscriptions oldest first and stops at the first valid bitmap
+export async function findBitmapOnSat(ordinals, sat) {
+  let satIndex = 0;
+  for await (const ids of iterateSatInscriptionPages(ordinals, sat)) {
+    for (const inscriptionId of ids) {
+      const info = await ordinals.json(`/r/inscription/${inscriptionId}`);
+      if (mayBeBitmapText(info)) {
+        const content = await ordinals.text(`/content/${inscriptionId}`);
+        const bitmapNumber = parseBitmapText(content);
+        if (bitmapNumber !== null && isValidBitmap(bitmapNumber, { content, height: info.height })) {
+          return { bitmapNumber, inscriptionId, inscriptionNumber: info.number ?? null, sat, satIndex };
+        }
+      }
+      satIndex++;
+    }
+  }
+  return null;
+}
+
+// ord lists a block's inscriptions 100 at a time, in inscription order:
+// /inscriptions/block/:height, then /inscriptions/block/:height/:page while `more` is set
+export async function* iterateBlockInscriptionPages(ordinals, height) {
+  for (let page = 0; ; page++) {
+    const path = page === 0 ? `/inscriptions/block/${height}` : `/inscriptions/block/${height}/${page}`;
+    const data = await ordinals.json(path);
+    yield data.ids || [];
+    if (!data.more) return;
+  }
+}
+
+// Every inscription revealed in the block whose content is exactly "N.bitmap", oldest
+// first, as { inscriptionId, inscriptionNumber, sat }. Being valid for N also takes
+// being the first bitmap on its sat, which findBitmapOnSat decides.
+export async function findBitmapTextsInBlock(ordinals, bitmapNum, height) {
+  const found = [];
+  for await (const ids of iterateBlockInscriptionPages(ordinals, height)) {
+    for (const inscriptionId of ids) {
+      const info = await ordinals.json(`/r/inscription/${inscriptionId}`);
+      if (!mayBeBitmapText(info) || info.sat == null) continue;
+      const content = await ordinals.text(`/content/${inscriptionId}`);
+      if (isValidBitmap(bitmapNum, { content, height: info.height })) {
+        found.push({ inscriptionId, inscriptionNumber: info.number ?? null, sat: info.sat });
+      }
+    }
+  }
+  return found;
+}
@@ -0,0 +1,72 @@
+// Browser-side thumbnails of parcel children for the 3D district. Content loads from
+// /content/:id, which the ordinals proxy serves from our own origin.
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load ${src}`));
+    image.src = src;
+  });
+}
+
+// Scale to cover the square, keeping small pixel art crisp
+function drawCover(image, size) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const width = image.naturalWidth || image.width || size;
+  const height = image.naturalHeight || image.height || size;
+  const scale = Math.max(size / width, size / height);
+  ctx.imageSmoothingEnabled = width >= size;
+  ctx.drawImage(image, (size - width * scale) / 2, (size - height * scale) / 2, width * scale, height * scale);
+  // Throws if the drawing tainted the canvas, which WebGL would refuse as a texture
+  ctx.getImageData(0, 0, 1, 1);
+  return canvas;
+}
+
+function drawPlaceholder(label, inscriptionId, size) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#1f2937';
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = '#a855f7';
+  ctx.textAlign = 'center';
+  ctx.font = `bold ${Math.round(size / 5)}px sans-serif`;
+  ctx.fillText(label, size / 2, size / 2);
+  ctx.fillStyle = '#9ca3af';
+  ctx.font = `${Math.round(size / 12)}px monospace`;
+  ctx.fillText(`${inscriptionId.slice(0, 8)}...`, size / 2, size * 0.7);
+  return canvas;
+}
+
+// HTML inscriptions only ever run inside their sandbox, so their snapshot is static:
+// the first inscription image they embed, or else their markup with scripts stripped,
+// rendered through an SVG foreignObject
+async function snapshotHtml(inscriptionId, size) {
+  const response = await fetch(`/content/${inscriptionId}`);
+  if (!response.ok) throw new Error(`Failed to load ${inscriptionId}`);
+  const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+  const embedded = doc.querySelector('img[src^="/content/"]');
+  if (embedded) return drawCover(await loadImage(embedded.getAttribute('src')), size);
+
+  doc.querySelectorAll('script, iframe, object, embed, link').forEach((element) => element.remove());
+  const markup = new XMLSerializer().serializeToString(doc.documentElement);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}"><foreignObject width="100%" height="100%">${markup}</foreignObject></svg>`;
+  return drawCover(await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`), size);
+}
+
+// A square canvas for a child inscription: images as they are, HTML as a snapshot.
+// Anything that can't be drawn gets a labelled placeholder instead.
+export async function loadChildThumbnail({ id, contentType }, size = 128) {
+  try {
+    if (contentType.includes('html')) return await snapshotHtml(id, size);
+    return drawCover(await loadImage(`/content/${id}`), size);
+  } catch (e) {
+    return drawPlaceholder(contentType.includes('html') ? 'HTML' : 'IMG', id, size);
+  }
+}
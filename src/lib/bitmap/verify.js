@@ -0,0 +1,122 @@
+import { MAX_INDEXED_BITMAP } from './satIndex';
+import { listSatInscriptions, parseBitmapText, checkBitmapRules, isValidBitmap } from './sats';
+
+// Anything that reads as this bitmap, including whitespace, case and leading zero variants
+function resemblesBitmap(text, bitmapNum) {
+  return new RegExp(`^\\s*0*${bitmapNum}\\.bitmap\\s*$`, 'i').test(text);
+}
+
+async function inscriptionHeight(ordinals, inscriptionId) {
+  return (await ordinals.json(`/r/inscription/${inscriptionId}`)).height;
+}
+
+// Look-alike inscriptions on the given sats that are not the valid bitmap
+async function findDuplicates(ordinals, bitmapNum, sats, valid) {
+  const text = `${bitmapNum}.bitmap`;
+  const duplicates = [];
+  for (const sat of sats) {
+    const ids = await listSatInscriptions(ordinals, sat);
+    for (let satIndex = 0; satIndex < ids.length; satIndex++) {
+      const inscriptionId = ids[satIndex];
+      if (valid && inscriptionId === valid.inscriptionId) continue;
+      const content = await ordinals.text(`/content/${inscriptionId}`);
+      if (!resemblesBitmap(content, bitmapNum)) continue;
+
+      // Only exact matches need their height, which costs another request
+      let reason;
+      if (parseBitmapText(content) !== bitmapNum) {
+        reason = `Content is not exactly "${text}"`;
+      } else if (!isValidBitmap(bitmapNum, { content, height: await inscriptionHeight(ordinals, inscriptionId) })) {
+        reason = `Inscribed before block ${bitmapNum}`;
+      } else if (valid && sat !== valid.sat) {
+        reason = 'Not on the same sat as the valid bitmap';
+      } else {
+        reason = 'Reinscription - only the first valid bitmap on a sat counts';
+      }
+      duplicates.push({ inscriptionId, sat, satIndex, content, reason });
+    }
+  }
+  return duplicates;
+}
+
+// Whether the inscription is the bitmap's first valid one. Past the index `valid` is
+// only the earliest candidate seen so far: it can show that an inscription is not the
+// first, but never confirm that one is.
+function firstCheck(text, inscriptionId, info, valid) {
+  const label = `First valid "${text}" on its sat`;
+  if (valid?.confirmed === false) {
+    const earlier = valid.inscriptionNumber !== null && typeof info.number === 'number' && valid.inscriptionNumber < info.number;
+    if (earlier) return { id: 'first', label, passed: false, detail: `${valid.inscriptionId} is an earlier valid inscription` };
+    return {
+      id: 'first',
+      label,
+      passed: null,
+      detail: valid.inscriptionId === inscriptionId
+        ? "Earliest valid inscription seen so far, but past the sat index that can't be confirmed"
+        : `Past the sat index - the earliest valid inscription seen so far is ${valid.inscriptionId}`,
+    };
+  }
+  return {
+    id: 'first',
+    label,
+    passed: Boolean(valid) && valid.inscriptionId === inscriptionId,
+    detail: valid && valid.inscriptionId !== inscriptionId ? `The valid inscription is ${valid.inscriptionId}` : null,
+  };
+}
+
+// Checks an inscription against the bitmap validity rules. `valid` is the bitmap's
+// resolved { sat, inscriptionId, confirmed } (null when it could not be resolved) -
+// the sat index records where the first "N.bitmap" was inscribed, so matching it is
+// what makes an inscription the first of its kind. Past the index that can't be
+// confirmed, so the sat and first checks report `passed: null`, and the report is
+// `valid` without being `confirmed`.
+export async function verifyBitmapInscription(ordinals, bitmapNum, inscriptionId, valid) {
+  const text = `${bitmapNum}.bitmap`;
+  const indexed = bitmapNum <= MAX_INDEXED_BITMAP;
+  const [content, info] = await Promise.all([
+    ordinals.text(`/content/${inscriptionId}`),
+    ordinals.json(`/r/inscription/${inscriptionId}`),
+  ]);
+  const rules = checkBitmapRules(bitmapNum, { content, height: info.height });
+
+  const checks = [
+    {
+      id: 'content',
+      label: `Content is exactly "${text}"`,
+      passed: rules.content,
+      detail: rules.content ? null : `Content is ${JSON.stringify(content.slice(0, 80))}`,
+    },
+    {
+      id: 'height',
+      label: `Inscribed at or after block ${bitmapNum}`,
+      passed: rules.height,
+      detail: typeof info.height === 'number' ? `Inscribed in block ${info.height}` : 'Inscription height unknown',
+    },
+    {
+      id: 'sat',
+      label: 'Sat matches the bitmap sat index',
+      passed: indexed ? Boolean(valid) && info.sat === valid.sat : null,
+      detail: !indexed
+        ? 'Bitmap is past the sat index'
+        : valid ? `Inscription sat ${info.sat}, index sat ${valid.sat}` : 'No valid bitmap found on the indexed sat',
+    },
+    firstCheck(text, inscriptionId, info, valid),
+  ];
+
+  const sats = [...new Set([valid?.sat, info.sat].filter((sat) => sat !== undefined && sat !== null))];
+  const duplicates = (await findDuplicates(ordinals, bitmapNum, sats, valid)).filter(
+    (duplicate) => duplicate.inscriptionId !== inscriptionId
+  );
+
+  return {
+    bitmapNumber: bitmapNum,
+    inscriptionId,
+    inscriptionNumber: info.number ?? null,
+    sat: info.sat ?? null,
+    valid: checks.every((check) => check.passed !== false),
+    confirmed: checks.every((check) => check.passed === true),
+    checks,
+    duplicates,
+    checkedAt: new Date().toISOString(),
+  };
+}
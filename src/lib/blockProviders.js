@@ -0,0 +1,313 @@
+// Every provider loads a block by height as { height, blockHash, timestamp, size,
+// transactions, txList } with txList in block order and each tx normalized to:
+//   { txid, size, weight, vsize, fee, value, inputCount, outputCount,
+//     coinbase, segwit, taproot, inscription }
+// getTransaction(txid) adds the detail a single tx view needs:
+//   { ...tx, inputs: [{ txid, vout, address, value }], outputs: [{ index, address, value, scriptType }],
+//     inscriptions: [inscription ids created by the tx] }
+// Amounts are in sats. BLOCK_PROVIDERS lists them in fallback order, e.g. "esplora,rpc".
+
+const USER_AGENT = 'Mozilla/5.0';
+const ESPLORA_PAGE_SIZE = 25;
+const ESPLORA_CONCURRENCY = 4;
+
+// OP_FALSE OP_IF OP_PUSH3 "ord" - the start of an inscription envelope in a witness
+const INSCRIPTION_ENVELOPE = '0063036f7264';
+
+export class BlockDataError extends Error {
+  constructor(message, status, errors = []) {
+    super(message);
+    this.name = 'BlockDataError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+const toSats = (btc) => Math.round((btc || 0) * 1e8);
+const isTaprootScript = (script) => typeof script === 'string' && script.length === 68 && script.startsWith('5120');
+const hasInscription = (witnessHex) => witnessHex.some((item) => item && item.includes(INSCRIPTION_ENVELOPE));
+
+// ord numbers a reveal tx's inscriptions <txid>i0, i1, ... in envelope order across its inputs
+function inscriptionIds(txid, witnessHex) {
+  const count = witnessHex.reduce((total, item) => total + (item ? item.split(INSCRIPTION_ENVELOPE).length - 1 : 0), 0);
+  return Array.from({ length: count }, (_, i) => `${txid}i${i}`);
+}
+
+async function fetchOrThrow(url, options, parse = (response) => response.json()) {
+  const response = await fetch(url, { ...options, headers: { 'User-Agent': USER_AGENT, ...options?.headers } });
+  if (response.status === 404) throw new BlockDataError(`Not found: ${url}`, 404);
+  if (!response.ok) throw new BlockDataError(`${response.status} from ${url}`, 502);
+  return parse(response);
+}
+
+function normalizeEsploraTx(tx) {
+  const witness = tx.vin.flatMap((input) => input.witness || []);
+  return {
+    txid: tx.txid,
+    size: tx.size,
+    weight: tx.weight,
+    vsize: Math.ceil(tx.weight / 4),
+    fee: tx.fee || 0,
+    value: sum(tx.vout.map((output) => output.value)),
+    inputCount: tx.vin.length,
+    outputCount: tx.vout.length,
+    coinbase: tx.vin.some((input) => input.is_coinbase),
+    segwit: witness.length > 0,
+    taproot: [...tx.vin.map((input) => input.prevout), ...tx.vout].some((o) => o?.scriptpubkey_type === 'v1_p2tr'),
+    inscription: hasInscription(witness),
+  };
+}
+
+function esploraTxDetail(tx) {
+  return {
+    ...normalizeEsploraTx(tx),
+    inputs: tx.vin.map((input) => ({
+      txid: input.is_coinbase ? null : input.txid,
+      vout: input.is_coinbase ? null : input.vout,
+      address: input.prevout?.scriptpubkey_address || null,
+      value: input.prevout?.value ?? null,
+    })),
+    outputs: tx.vout.map((output, index) => ({
+      index,
+      address: output.scriptpubkey_address || null,
+      value: output.value,
+      scriptType: output.scriptpubkey_type || null,
+    })),
+    inscriptions: inscriptionIds(tx.txid, tx.vin.flatMap((input) => input.witness || [])),
+  };
+}
+
+// mempool.space or any other Esplora instance. Transactions come 25 at a time.
+export function createEsploraProvider({ baseUrl = 'https://mempool.space/api' } = {}) {
+  return {
+    name: `esplora (${baseUrl})`,
+    async getTransaction(txid) {
+      return esploraTxDetail(await fetchOrThrow(`${baseUrl}/tx/${txid}`));
+    },
+    async getBlock(height) {
+      const blockHash = await fetchOrThrow(`${baseUrl}/block-height/${height}`, {}, (r) => r.text());
+      const block = await fetchOrThrow(`${baseUrl}/block/${blockHash}`);
+
+      const pageStarts = [];
+      for (let start = 0; start < block.tx_count; start += ESPLORA_PAGE_SIZE) pageStarts.push(start);
+      const pages = new Array(pageStarts.length);
+      let next = 0;
+      const worker = async () => {
+        while (next < pageStarts.length) {
+          const i = next++;
+          pages[i] = await fetchOrThrow(`${baseUrl}/block/${blockHash}/txs/${pageStarts[i]}`);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(ESPLORA_CONCURRENCY, pageStarts.length) }, worker));
+
+      return {
+        height,
+        blockHash,
+        timestamp: block.timestamp,
+        size: block.size,
+        transactions: block.tx_count,
+        txList: pages.flat().map(normalizeEsploraTx),
+      };
+    },
+  };
+}
+
+function normalizeBlockchainInfoTx(tx) {
+  // blockchain.info serializes each input's witness stack into one hex string
+  const witness = tx.inputs.map((input) => input.witness).filter(Boolean);
+  return {
+    txid: tx.hash,
+    size: tx.size,
+    weight: tx.weight,
+    vsize: Math.ceil(tx.weight / 4),
+    fee: tx.fee || 0,
+    value: sum(tx.out.map((output) => output.value)),
+    inputCount: tx.vin_sz ?? tx.inputs.length,
+    outputCount: tx.vout_sz ?? tx.out.length,
+    coinbase: tx.inputs.every((input) => !input.prev_out),
+    segwit: witness.length > 0,
+    taproot: [...tx.inputs.map((input) => input.prev_out?.script), ...tx.out.map((o) => o.script)].some(isTaprootScript),
+    inscription: hasInscription(witness),
+  };
+}
+
+function blockchainInfoTxDetail(tx) {
+  return {
+    ...normalizeBlockchainInfoTx(tx),
+    // Inputs reference their funding tx by blockchain.info's internal index, not txid
+    inputs: tx.inputs.map((input) => ({
+      txid: null,
+      vout: input.prev_out?.n ?? null,
+      address: input.prev_out?.addr || null,
+      value: input.prev_out?.value ?? null,
+    })),
+    outputs: tx.out.map((output, index) => ({
+      index: output.n ?? index,
+      address: output.addr || null,
+      value: output.value,
+      scriptType: isTaprootScript(output.script) ? 'v1_p2tr' : null,
+    })),
+    inscriptions: inscriptionIds(tx.hash, tx.inputs.map((input) => input.witness)),
+  };
+}
+
+// One request per block, but the response holds every transaction in full
+export function createBlockchainInfoProvider({ baseUrl = 'https://blockchain.info' } = {}) {
+  return {
+    name: `blockchain.info (${baseUrl})`,
+    async getTransaction(txid) {
+      return blockchainInfoTxDetail(await fetchOrThrow(`${baseUrl}/rawtx/${txid}`));
+    },
+    async getBlock(height) {
+      const data = await fetchOrThrow(`${baseUrl}/block-height/${height}?format=json`);
+      const block = data.blocks?.[0];
+      if (!block) throw new BlockDataError(`Block ${height} not found`, 404);
+      return {
+        height,
+        blockHash: block.hash,
+        timestamp: block.time,
+        size: block.size,
+        transactions: block.n_tx,
+        txList: (block.tx || []).map(normalizeBlockchainInfoTx),
+      };
+    },
+  };
+}
+
+function normalizeRpcTx(tx) {
+  const witness = tx.vin.flatMap((input) => input.txinwitness || []);
+  return {
+    txid: tx.txid,
+    size: tx.size,
+    weight: tx.weight,
+    vsize: tx.vsize,
+    fee: toSats(tx.fee),
+    value: sum(tx.vout.map((output) => toSats(output.value))),
+    inputCount: tx.vin.length,
+    outputCount: tx.vout.length,
+    coinbase: tx.vin.some((input) => input.coinbase),
+    segwit: witness.length > 0,
+    taproot: [...tx.vin.map((input) => input.prevout), ...tx.vout].some(
+      (o) => o?.scriptPubKey?.type === 'witness_v1_taproot'
+    ),
+    inscription: hasInscription(witness),
+  };
+}
+
+function rpcTxDetail(tx) {
+  return {
+    ...normalizeRpcTx(tx),
+    inputs: tx.vin.map((input) => ({
+      txid: input.coinbase ? null : input.txid,
+      vout: input.coinbase ? null : input.vout,
+      address: input.prevout?.scriptPubKey?.address || null,
+      value: input.prevout ? toSats(input.prevout.value) : null,
+    })),
+    outputs: tx.vout.map((output) => ({
+      index: output.n,
+      address: output.scriptPubKey?.address || null,
+      value: toSats(output.value),
+      scriptType: output.scriptPubKey?.type || null,
+    })),
+    inscriptions: inscriptionIds(tx.txid, tx.vin.flatMap((input) => input.txinwitness || [])),
+  };
+}
+
+// A local Bitcoin Core node (25 or later, for prevouts in getblock), or anything that
+// speaks its JSON-RPC. getblock needs no txindex; getTransaction does, since it looks
+// transactions up without their block.
+export function createBitcoinRpcProvider({ url = 'http://127.0.0.1:8332', user, password } = {}) {
+  const auth = user ? { Authorization: `Basic ${Buffer.from(`${user}:${password || ''}`).toString('base64')}` } : {};
+  const call = async (method, params) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...auth },
+      body: JSON.stringify({ jsonrpc: '1.0', id: method, method, params }),
+    });
+    // Bitcoin Core reports RPC errors with a 500 and a JSON body
+    const data = await response.json().catch(() => null);
+    if (!data) throw new BlockDataError(`${response.status} from ${url}`, 502);
+    if (data.error) {
+      // -8: block height out of range, -5: no such transaction
+      const notFound = data.error.code === -8 || data.error.code === -5;
+      throw new BlockDataError(`${method}: ${data.error.message}`, notFound ? 404 : 502);
+    }
+    return data.result;
+  };
+
+  return {
+    name: `rpc (${url})`,
+    async getTransaction(txid) {
+      // Verbosity 2 adds prevouts and the fee
+      return rpcTxDetail(await call('getrawtransaction', [txid, 2]));
+    },
+    async getBlock(height) {
+      const blockHash = await call('getblockhash', [height]);
+      // Verbosity 3 includes decoded transactions with fees and prevouts, so taproot
+      // spends are detected from inputs as well as outputs, as with the other providers
+      const block = await call('getblock', [blockHash, 3]);
+      return {
+        height,
+        blockHash,
+        timestamp: block.time,
+        size: block.size,
+        transactions: block.nTx,
+        txList: block.tx.map(normalizeRpcTx),
+      };
+    },
+  };
+}
+
+function createProvider(name) {
+  switch (name) {
+    case 'esplora':
+      return createEsploraProvider({ baseUrl: process.env.ESPLORA_URL || undefined });
+    case 'blockchaininfo':
+      return createBlockchainInfoProvider({ baseUrl: process.env.BLOCKCHAIN_INFO_URL || undefined });
+    case 'rpc':
+      return createBitcoinRpcProvider({
+        url: process.env.BITCOIN_RPC_URL || undefined,
+        user: process.env.BITCOIN_RPC_USER,
+        password: process.env.BITCOIN_RPC_PASSWORD,
+      });
+    default:
+      throw new Error(`Unknown block provider: ${name}`);
+  }
+}
+
+export function createProvidersFromEnv() {
+  return (process.env.BLOCK_PROVIDERS || 'blockchaininfo,esplora')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map(createProvider);
+}
+
+// Try each provider in order. If none can load it, every provider's error is
+// reported - a 404 only when they all agree it doesn't exist.
+async function loadFromProviders(providers, what, load) {
+  const errors = [];
+  for (const provider of providers) {
+    try {
+      return await load(provider);
+    } catch (e) {
+      console.error(`Block provider ${provider.name} failed for ${what}:`, e.message);
+      errors.push({ provider: provider.name, status: e.status || 502, error: e.message });
+    }
+  }
+  const notFound = errors.length > 0 && errors.every((e) => e.status === 404);
+  throw new BlockDataError(
+    notFound ? `Not found: ${what}` : `No block provider could load ${what}`,
+    notFound ? 404 : 502,
+    errors
+  );
+}
+
+export function fetchBlockFromProviders(providers, height) {
+  return loadFromProviders(providers, `block ${height}`, (provider) => provider.getBlock(height));
+}
+
+export function fetchTransactionFromProviders(providers, txid) {
+  return loadFromProviders(providers, `transaction ${txid}`, (provider) => provider.getTransaction(txid));
+}
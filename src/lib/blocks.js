@@ -0,0 +1,40 @@
+import { createProvidersFromEnv, fetchBlockFromProviders, fetchTransactionFromProviders } from '@/lib/blockProviders';
+
+// Full blocks are large, so only the most recently requested few are kept
+const MAX_CACHED_BLOCKS = 16;
+
+const cache = new Map();
+const inflight = new Map();
+let providers;
+
+function getProviders() {
+  if (!providers) providers = createProvidersFromEnv();
+  return providers;
+}
+
+// Load a block through the configured providers. Failures throw a BlockDataError
+// listing what each provider reported.
+export async function getBlock(height) {
+  if (cache.has(height)) {
+    const block = cache.get(height);
+    cache.delete(height);
+    cache.set(height, block);
+    return block;
+  }
+
+  if (!inflight.has(height)) {
+    const request = fetchBlockFromProviders(getProviders(), height)
+      .then((block) => {
+        cache.set(height, block);
+        if (cache.size > MAX_CACHED_BLOCKS) cache.delete(cache.keys().next().value);
+        return block;
+      })
+      .finally(() => inflight.delete(height));
+    inflight.set(height, request);
+  }
+  return inflight.get(height);
+}
+
+export function getTransaction(txid) {
+  return fetchTransactionFromProviders(getProviders(), txid);
+}
@@ -0,0 +1,57 @@
+import { randomBytes } from 'crypto';
+
+const challenges = new Map();
+const CHALLENGE_DURATION = 10 * 60 * 1000; // 10 minutes
+// Challenges are unauthenticated, so past this many the oldest are evicted
+const MAX_OUTSTANDING_CHALLENGES = 10000;
+
+// Every challenge lives equally long, so the Map's insertion order is expiry order
+function pruneExpired() {
+  const now = Date.now();
+  for (const [nonce, challenge] of challenges) {
+    if (challenge.expiresAt > now) break;
+    challenges.delete(nonce);
+  }
+}
+
+function buildMessage({ domain, nonce, issuedAt, expiresAt }) {
+  return [
+    `${domain} wants you to link your wallets to HPEC DAO`,
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`,
+  ].join('\n');
+}
+
+export function issueChallenge(domain) {
+  pruneExpired();
+  for (const nonce of challenges.keys()) {
+    if (challenges.size < MAX_OUTSTANDING_CHALLENGES) break;
+    challenges.delete(nonce);
+  }
+  const nonce = randomBytes(16).toString('hex');
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + CHALLENGE_DURATION;
+  const challenge = { nonce, domain, issuedAt, expiresAt };
+  challenge.message = buildMessage(challenge);
+  challenges.set(nonce, challenge);
+  return challenge;
+}
+
+// Returns the live challenge for this nonce, or null if unknown, expired or issued for another domain
+export function findChallenge(nonce, domain) {
+  const challenge = challenges.get(nonce);
+  if (!challenge) return null;
+  if (challenge.expiresAt <= Date.now()) {
+    challenges.delete(nonce);
+    return null;
+  }
+  if (challenge.domain !== domain) return null;
+  return challenge;
+}
+
+// One-time use: only the first caller gets true
+export function consumeChallenge(nonce) {
+  return challenges.delete(nonce);
+}
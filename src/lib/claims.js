@@ -0,0 +1,89 @@
+import { getBlock } from '@/lib/blocks';
+import { serverOrdinals } from '@/lib/ordinals';
+import { lookupBitmap } from '@/lib/satIndexStore';
+import { MAX_INDEXED_BITMAP, fetchParcels, buildClaimMap, getParcelDetails } from '@/lib/bitmap';
+
+const DETAILS_CONCURRENCY = 8;
+// A claim map walks every child of the bitmap (and with details, of every parcel), so
+// it is reused for this long even though parcels keep being inscribed
+const CLAIM_MAP_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_CACHED_CLAIM_MAPS = 200;
+
+const cache = new Map(); // key -> { claimMap, expiresAt }, oldest first
+const inflight = new Map();
+
+// Add each claiming parcel's owner, child count and main child content type
+async function addParcelDetails(squares) {
+  const claimed = squares.filter((square) => square.parcel);
+  let next = 0;
+  const worker = async () => {
+    while (next < claimed.length) {
+      const { parcel } = claimed[next++];
+      Object.assign(parcel, await getParcelDetails(serverOrdinals, parcel.id));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(DETAILS_CONCURRENCY, claimed.length) }, worker));
+}
+
+async function loadClaimMap(bitmapNumber, hintInscriptionId, withDetails) {
+  const bitmap = await lookupBitmap(bitmapNumber, hintInscriptionId);
+  if (!bitmap) return null;
+  const [block, { parcels }] = await Promise.all([
+    getBlock(bitmapNumber),
+    fetchParcels(serverOrdinals, bitmap.inscriptionId, bitmapNumber),
+  ]);
+  const claimMap = buildClaimMap(bitmapNumber, block.txList, parcels);
+  if (withDetails) await addParcelDetails(claimMap.squares);
+  return {
+    ...claimMap,
+    inscriptionId: bitmap.inscriptionId,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// Only bitmaps past the index may resolve differently depending on the hint
+function cacheKey(bitmapNumber, hintInscriptionId, withDetails) {
+  const hint = bitmapNumber > MAX_INDEXED_BITMAP ? hintInscriptionId || '' : '';
+  return `${bitmapNumber}:${hint}:${withDetails}`;
+}
+
+function cached(key) {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry;
+  cache.delete(key);
+  return null;
+}
+
+function remember(key, claimMap) {
+  cache.delete(key);
+  cache.set(key, { claimMap, expiresAt: Date.now() + CLAIM_MAP_TTL });
+  for (const oldest of cache.keys()) {
+    if (cache.size <= MAX_CACHED_CLAIM_MAPS) break;
+    cache.delete(oldest);
+  }
+}
+
+// Whether getClaimMap would answer without starting a new scan
+export function hasClaimMap(bitmapNumber, hintInscriptionId = null, { withDetails = false } = {}) {
+  const key = cacheKey(bitmapNumber, hintInscriptionId, withDetails);
+  return inflight.has(key) || Boolean(cached(key));
+}
+
+// Which of a bitmap's transactions are claimed by parcels, or null when the bitmap
+// can't be resolved. Answers are cached for CLAIM_MAP_TTL and concurrent callers share
+// one scan. `withDetails` adds each parcel's owner and children.
+export async function getClaimMap(bitmapNumber, hintInscriptionId = null, { withDetails = false } = {}) {
+  const key = cacheKey(bitmapNumber, hintInscriptionId, withDetails);
+  const entry = cached(key);
+  if (entry) return entry.claimMap;
+  if (!inflight.has(key)) {
+    const request = loadClaimMap(bitmapNumber, hintInscriptionId, withDetails)
+      .then((claimMap) => {
+        if (claimMap) remember(key, claimMap);
+        return claimMap;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, request);
+  }
+  return inflight.get(key);
+}
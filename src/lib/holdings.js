@@ -0,0 +1,96 @@
+import { serverOrdinals } from '@/lib/ordinals';
+import { classifyChild, getInscriptionOwner, listAllChildren } from '@/lib/bitmap';
+import { lookupBitmap } from '@/lib/satIndexStore';
+import { updateLinkages } from '@/lib/linkageStore';
+
+export const DISTRICT_BITMAP = 267651;
+
+const CONCURRENCY = 8;
+// A refresh scans the whole district, so outside moderators it runs at most this often
+const REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+let refreshing = null;
+let lastRefreshAt = 0;
+let lastDistrict = null; // Ownership seen by the last completed scan
+
+async function mapWithConcurrency(items, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, items.length) }, worker));
+  return results;
+}
+
+// Parcel detection follows the same rules as the lookup UI
+async function classifyOwnedChild(childId, index, bitmapNumber) {
+  const child = await classifyChild(serverOrdinals, childId, index, bitmapNumber);
+  return { ...child, owner: await getInscriptionOwner(serverOrdinals, childId) };
+}
+
+// Resolve who owns the bitmap, its parcels and its other children. The bitmap's
+// inscription always comes from the sat index, never from the caller.
+export async function resolveDistrictOwnership(bitmapNumber = DISTRICT_BITMAP) {
+  const bitmap = await lookupBitmap(bitmapNumber);
+  if (!bitmap) throw new Error(`No valid ${bitmapNumber}.bitmap inscription found`);
+  const bitmapInscriptionId = bitmap.inscriptionId;
+
+  const childrenIds = await listAllChildren(serverOrdinals, bitmapInscriptionId);
+  const children = await mapWithConcurrency(childrenIds, (childId, index) =>
+    classifyOwnedChild(childId, index, bitmapNumber)
+  );
+
+  return {
+    bitmapNumber,
+    inscriptionId: bitmapInscriptionId,
+    owner: await getInscriptionOwner(serverOrdinals, bitmapInscriptionId),
+    children,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+export function holdingsForAddress(district, btcAddress) {
+  const owned = district.children.filter((child) => child.owner === btcAddress);
+  const parcels = owned.filter((child) => child.isParcel).map(({ id, parcelName }) => ({ id, parcelName }));
+  const children = owned.filter((child) => !child.isParcel).map(({ id, childNumber }) => ({ id, childNumber }));
+  const ownsBitmap = district.owner === btcAddress;
+  return {
+    bitmapNumber: district.bitmapNumber,
+    ownsBitmap,
+    parcels,
+    children,
+    isHolder: ownsBitmap || parcels.length > 0 || children.length > 0,
+    checkedAt: district.checkedAt,
+  };
+}
+
+// Holdings for a newly linked address from the last scan, so linking never waits on
+// (or is throttled by) a district-wide refresh. Null until a scan has completed.
+export function holdingsFromLastScan(btcAddress) {
+  return lastDistrict && holdingsForAddress(lastDistrict, btcAddress);
+}
+
+// Re-check every linked BTC address against the district's current owners and save the
+// result. Concurrent callers share one scan; returns null instead of scanning again
+// within REFRESH_INTERVAL of the last one, unless forced.
+export function refreshLinkageHoldings({ force = false } = {}) {
+  if (refreshing) return refreshing;
+  if (!force && Date.now() - lastRefreshAt < REFRESH_INTERVAL) return null;
+  refreshing = (async () => {
+    const district = await resolveDistrictOwnership();
+    const linkages = await updateLinkages((linkage) => ({
+      ...linkage,
+      holdings: holdingsForAddress(district, linkage.btcAddress),
+    }));
+    lastRefreshAt = Date.now();
+    lastDistrict = district;
+    return linkages;
+  })().finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+}
@@ -0,0 +1,79 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const STORE_FILE = process.env.LINKAGES_FILE || path.join(process.cwd(), 'data', 'linkages.json');
+
+// Serialize all writes so concurrent requests can't clobber each other
+let writeQueue = Promise.resolve();
+
+async function readAll() {
+  try {
+    const raw = await fs.readFile(STORE_FILE, 'utf8');
+    const data = JSON.parse(raw);
+    return Array.isArray(data) ? data : [];
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+async function writeAll(linkages) {
+  await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+  // Write to a temp file first so a crash never leaves half a registry behind
+  const tmpFile = `${STORE_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(linkages, null, 2));
+  await fs.rename(tmpFile, STORE_FILE);
+}
+
+function withWriteLock(fn) {
+  const run = writeQueue.then(fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+const byNewest = (a, b) => b.timestamp.localeCompare(a.timestamp);
+
+export async function listLinkages() {
+  const linkages = await readAll();
+  return linkages.sort(byNewest);
+}
+
+export async function getLinkage(id) {
+  const linkages = await readAll();
+  return linkages.find((l) => l.id === id) || null;
+}
+
+// A BTC or ADA address can only be linked once - relinking replaces the old entry
+export function createLinkage(linkage) {
+  return withWriteLock(async () => {
+    const linkages = await readAll();
+    const replaced = linkages.filter(
+      (l) => l.btcAddress === linkage.btcAddress || l.adaAddress === linkage.adaAddress
+    );
+    const kept = linkages.filter((l) => !replaced.includes(l));
+    const created = { ...linkage, id: randomUUID() };
+    kept.push(created);
+    await writeAll(kept);
+    return { linkage: created, replaced: replaced.map((l) => l.id) };
+  });
+}
+
+export function deleteLinkage(id) {
+  return withWriteLock(async () => {
+    const linkages = await readAll();
+    const remaining = linkages.filter((l) => l.id !== id);
+    if (remaining.length === linkages.length) return false;
+    await writeAll(remaining);
+    return true;
+  });
+}
+
+export function updateLinkages(updater) {
+  return withWriteLock(async () => {
+    const linkages = await readAll();
+    const updated = linkages.map(updater);
+    await writeAll(updated);
+    return [...updated].sort(byNewest);
+  });
+}
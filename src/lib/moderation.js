@@ -0,0 +1,6 @@
+// Moderator-only actions authenticate with the LINKAGES_ADMIN_TOKEN bearer token
+export function isModerator(request) {
+  const token = process.env.LINKAGES_ADMIN_TOKEN;
+  if (!token) return false;
+  return request.headers.get('Authorization') === `Bearer ${token}`;
+}
@@ -0,0 +1,164 @@
+import { createHash } from 'crypto';
+import { createBackendsFromEnv, fetchFromBackends } from '@/lib/ordinalsBackends';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How long each kind of path stays fresh, and how long a stale copy may still be served
+// while it is refetched in the background. Inscription content never changes; ownership does.
+const CACHE_POLICIES = [
+  { prefix: '/content/', ttl: 30 * DAY, stale: 0, immutable: true },
+  { prefix: '/r/metadata/', ttl: 30 * DAY, stale: 0, immutable: true },
+  { prefix: '/r/children/', ttl: 10 * MINUTE, stale: DAY },
+  { prefix: '/r/sat/', ttl: 10 * MINUTE, stale: DAY },
+  { prefix: '/inscriptions/block/', ttl: 10 * MINUTE, stale: DAY },
+  { prefix: '/r/inscription/', ttl: 5 * MINUTE, stale: HOUR },
+  { prefix: '/inscription/', ttl: 5 * MINUTE, stale: HOUR },
+];
+const DEFAULT_POLICY = { ttl: 5 * MINUTE, stale: HOUR };
+const NOT_FOUND_TTL = MINUTE;
+
+const MAX_ENTRIES = 2000;
+const MAX_BYTES = 64 * 1024 * 1024;
+
+export class OrdinalsError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'OrdinalsError';
+    this.status = status;
+  }
+}
+
+// Map iteration order is insertion order, so re-inserting on read keeps the
+// least recently used entry first in line for eviction
+class LRUCache {
+  constructor(maxEntries, maxBytes) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.delete(key);
+    this.entries.set(key, entry);
+    this.bytes += entry.body.length;
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.delete(oldestKey);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.bytes -= entry.body.length;
+    this.entries.delete(key);
+  }
+}
+
+const cache = new LRUCache(MAX_ENTRIES, MAX_BYTES);
+const inflight = new Map();
+let backends;
+
+function getBackends() {
+  if (!backends) backends = createBackendsFromEnv();
+  return backends;
+}
+
+export function getCachePolicy(path) {
+  return CACHE_POLICIES.find((policy) => path.startsWith(policy.prefix)) || DEFAULT_POLICY;
+}
+
+export function cacheControlHeader(path) {
+  const policy = getCachePolicy(path);
+  if (policy.immutable) return 'public, max-age=31536000, immutable';
+  return `public, max-age=${Math.floor(policy.ttl / 1000)}, stale-while-revalidate=${Math.floor(policy.stale / 1000)}`;
+}
+
+async function fetchFromUpstream(path) {
+  const response = await fetchFromBackends(getBackends(), path);
+
+  // Remember missing inscriptions briefly so repeated lookups don't hit upstream
+  if (response.status === 404) {
+    const body = Buffer.alloc(0);
+    cache.set(path, { status: 404, body, expiresAt: Date.now() + NOT_FOUND_TTL, staleUntil: 0 });
+    throw new OrdinalsError('Ordinals API error', 404);
+  }
+  if (response.status < 200 || response.status >= 300) {
+    throw new OrdinalsError('Ordinals API error', response.status);
+  }
+
+  const body = response.body;
+  const policy = getCachePolicy(path);
+  const now = Date.now();
+  const entry = {
+    status: 200,
+    body,
+    contentType: response.contentType,
+    etag: `"${createHash('sha1').update(body).digest('base64url')}"`,
+    expiresAt: now + policy.ttl,
+    staleUntil: now + policy.ttl + policy.stale,
+  };
+  cache.set(path, entry);
+  return entry;
+}
+
+// Concurrent requests for the same path share one upstream fetch
+function revalidate(path) {
+  if (!inflight.has(path)) {
+    const request = fetchFromUpstream(path).finally(() => inflight.delete(path));
+    inflight.set(path, request);
+  }
+  return inflight.get(path);
+}
+
+// Fetch a path from the configured ordinals backends, shared by the proxy route and server-side resolvers
+export async function fetchOrdinals(path) {
+  const cached = cache.get(path);
+  const now = Date.now();
+
+  if (cached && now < cached.expiresAt) {
+    if (cached.status !== 200) throw new OrdinalsError('Ordinals API error', cached.status);
+    return cached;
+  }
+
+  if (cached && cached.status === 200 && now < cached.staleUntil) {
+    revalidate(path).catch(() => {});
+    return cached;
+  }
+
+  try {
+    return await revalidate(path);
+  } catch (error) {
+    // Upstream is down or rate limiting us - an old copy beats an error page
+    if (cached && cached.status === 200 && !(error instanceof OrdinalsError && error.status === 404)) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+export async function fetchOrdinalsText(path) {
+  const { body } = await fetchOrdinals(path);
+  return body.toString('utf8');
+}
+
+export async function fetchOrdinalsJson(path) {
+  return JSON.parse(await fetchOrdinalsText(path));
+}
+
+// `ordinals` fetcher for the bitmap data layer when running on the server
+export const serverOrdinals = {
+  text: fetchOrdinalsText,
+  json: fetchOrdinalsJson,
+};
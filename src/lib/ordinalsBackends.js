@@ -0,0 +1,171 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { validateOrdinalsPath } from '@/lib/ordinalsPaths';
+
+// Every backend answers ord-style paths with { status, body, contentType }.
+// ORDINALS_BACKENDS lists them in fallback order, e.g. "ord,hiro" or "fixture".
+
+const USER_AGENT = 'Mozilla/5.0';
+
+function jsonResult(data) {
+  return { status: 200, body: Buffer.from(JSON.stringify(data)), contentType: 'application/json' };
+}
+
+function statusResult(status) {
+  return { status, body: Buffer.alloc(0), contentType: 'text/plain' };
+}
+
+async function toResult(response) {
+  return {
+    status: response.status,
+    body: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('Content-Type') || 'text/plain',
+  };
+}
+
+// An ord server - ordinals.com or a self-hosted instance
+export function createOrdBackend({ baseUrl = 'https://ordinals.com' } = {}) {
+  return {
+    name: `ord (${baseUrl})`,
+    async fetch(ordPath) {
+      // Block listings are HTML pages unless JSON is asked for
+      const accept = ordPath.startsWith('/inscriptions/') ? { Accept: 'application/json' } : {};
+      const response = await fetch(`${baseUrl}${ordPath}`, {
+        headers: { 'User-Agent': USER_AGENT, ...accept },
+      });
+      return toResult(response);
+    },
+  };
+}
+
+function hiroToOrdInscription(inscription) {
+  return {
+    id: inscription.id,
+    number: inscription.number,
+    address: inscription.address,
+    content_type: inscription.content_type,
+    content_length: inscription.content_length,
+    fee: Number(inscription.genesis_fee),
+    height: inscription.genesis_block_height,
+    output: inscription.output,
+    sat: Number(inscription.sat_ordinal),
+    satpoint: inscription.location,
+    timestamp: Math.floor(inscription.genesis_timestamp / 1000),
+    value: Number(inscription.value),
+  };
+}
+
+// The Hiro ordinals API has no recursive endpoints, so only the routes it can
+// express are mapped; everything else reports 501 and falls through to the next backend
+export function createHiroBackend({ baseUrl = 'https://api.hiro.so', apiKey } = {}) {
+  const hiroFetch = (hiroPath) =>
+    fetch(`${baseUrl}/ordinals/v1${hiroPath}`, {
+      headers: { 'User-Agent': USER_AGENT, ...(apiKey ? { 'x-api-key': apiKey } : {}) },
+    });
+
+  const handlers = {
+    '/content/:id': async ({ id }) => toResult(await hiroFetch(`/inscriptions/${id}/content`)),
+    '/r/inscription/:id': async ({ id }) => {
+      const response = await hiroFetch(`/inscriptions/${id}`);
+      if (!response.ok) return statusResult(response.status);
+      return jsonResult(hiroToOrdInscription(await response.json()));
+    },
+    '/r/sat/:sat/at/:index': async ({ sat, index }) => {
+      const inscriptions = [];
+      let total = Infinity;
+      while (inscriptions.length < total) {
+        const response = await hiroFetch(`/sats/${sat}/inscriptions?limit=60&offset=${inscriptions.length}`);
+        if (!response.ok) return statusResult(response.status);
+        const page = await response.json();
+        total = page.total;
+        if (page.results.length === 0) break;
+        inscriptions.push(...page.results);
+      }
+      // ord orders a sat's inscriptions oldest first and counts negative indices from the end
+      inscriptions.sort((a, b) => a.number - b.number);
+      const i = Number(index);
+      const inscription = inscriptions[i < 0 ? inscriptions.length + i : i];
+      if (!inscription) return statusResult(404);
+      return jsonResult({ id: inscription.id });
+    },
+  };
+
+  return {
+    name: `hiro (${baseUrl})`,
+    async fetch(ordPath) {
+      const { route, params } = validateOrdinalsPath(ordPath);
+      const handler = handlers[route];
+      if (!handler) return statusResult(501);
+      return handler(params);
+    },
+  };
+}
+
+const FIXTURE_CONTENT_TYPES = [
+  { prefix: '/r/', contentType: 'application/json' },
+  { prefix: '/inscription/', contentType: 'text/html' },
+  { prefix: '/inscriptions/', contentType: 'application/json' },
+];
+
+// Recorded responses on disk: <dir>/content/<id>, <dir>/r/children/<id>, ...
+// An optional "<file>.content-type" sidecar overrides the guessed content type
+export function createFixtureBackend({ dir }) {
+  const root = path.resolve(dir);
+  return {
+    name: `fixture (${root})`,
+    async fetch(ordPath) {
+      const file = path.join(root, ordPath);
+      if (!file.startsWith(root + path.sep)) return statusResult(400);
+      try {
+        const body = await fs.readFile(file);
+        let contentType;
+        try {
+          contentType = (await fs.readFile(`${file}.content-type`, 'utf8')).trim();
+        } catch (e) {
+          contentType = FIXTURE_CONTENT_TYPES.find((t) => ordPath.startsWith(t.prefix))?.contentType || 'text/plain';
+        }
+        return { status: 200, body, contentType };
+      } catch (e) {
+        if (e.code === 'ENOENT' || e.code === 'EISDIR') return statusResult(404);
+        throw e;
+      }
+    },
+  };
+}
+
+function createBackend(name) {
+  switch (name) {
+    case 'ord':
+      return createOrdBackend({ baseUrl: process.env.ORD_URL || undefined });
+    case 'hiro':
+      return createHiroBackend({ baseUrl: process.env.HIRO_API_URL || undefined, apiKey: process.env.HIRO_API_KEY });
+    case 'fixture':
+      return createFixtureBackend({ dir: process.env.ORDINALS_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'ordinals') });
+    default:
+      throw new Error(`Unknown ordinals backend: ${name}`);
+  }
+}
+
+export function createBackendsFromEnv() {
+  return (process.env.ORDINALS_BACKENDS || 'ord')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map(createBackend);
+}
+
+// Try each backend in order until one answers; rate limits, outages and
+// unsupported routes fall through, and the last failure is reported if none succeed
+export async function fetchFromBackends(backends, ordPath) {
+  let lastResult = statusResult(502);
+  for (const backend of backends) {
+    try {
+      const result = await backend.fetch(ordPath);
+      if (result.status >= 200 && result.status < 300) return result;
+      if (lastResult.status !== 404) lastResult = result;
+    } catch (e) {
+      console.error(`Ordinals backend ${backend.name} failed for ${ordPath}:`, e.message);
+    }
+  }
+  return lastResult;
+}
@@ -0,0 +1,85 @@
+const INSCRIPTION_ID = /^[0-9a-f]{64}i\d+$/;
+const MAX_SAT = 2099999997689999;
+
+// Endpoints the proxy is willing to forward, in ord's own route syntax
+const SUPPORTED_PATHS = [
+  '/content/:id',
+  '/inscription/:id',
+  '/r/inscription/:id',
+  '/r/metadata/:id',
+  '/r/children/:id',
+  '/r/children/:id/:page',
+  '/r/parents/:id',
+  '/r/parents/:id/:page',
+  '/r/sat/:sat',
+  '/r/sat/:sat/:page',
+  '/r/sat/:sat/at/:index',
+  '/inscriptions/block/:height',
+  '/inscriptions/block/:height/:page',
+];
+
+const PARAM_RULES = {
+  id: {
+    code: 'INVALID_INSCRIPTION_ID',
+    message: 'Inscription ID must be a 64 character hex txid followed by i<index>',
+    test: (value) => INSCRIPTION_ID.test(value),
+  },
+  sat: {
+    code: 'INVALID_SAT',
+    message: `Sat must be an integer between 0 and ${MAX_SAT}`,
+    test: (value) => /^\d+$/.test(value) && Number(value) <= MAX_SAT,
+  },
+  height: {
+    code: 'INVALID_HEIGHT',
+    message: 'Height must be a non-negative integer',
+    test: (value) => /^\d+$/.test(value),
+  },
+  index: {
+    code: 'INVALID_INDEX',
+    message: 'Index must be an integer (negative counts back from the latest)',
+    test: (value) => /^-?\d+$/.test(value),
+  },
+  page: {
+    code: 'INVALID_PAGE',
+    message: 'Page must be a non-negative integer',
+    test: (value) => /^\d+$/.test(value),
+  },
+};
+
+function matchTemplate(template, segments) {
+  const parts = template.split('/').slice(1);
+  if (parts.length !== segments.length) return null;
+  const params = {};
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i].startsWith(':')) params[parts[i].slice(1)] = segments[i];
+    else if (parts[i] !== segments[i]) return null;
+  }
+  return params;
+}
+
+// Returns { path, route, params } for a supported path, or { error } describing why it was rejected
+export function validateOrdinalsPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    return { error: { code: 'INVALID_PATH', message: 'Path must start with /' } };
+  }
+  if (/[?#]/.test(path)) {
+    return { error: { code: 'INVALID_PATH', message: 'Query strings and fragments are not allowed' } };
+  }
+
+  const segments = path.split('/').slice(1);
+  for (const route of SUPPORTED_PATHS) {
+    const params = matchTemplate(route, segments);
+    if (!params) continue;
+    for (const [name, value] of Object.entries(params)) {
+      const rule = PARAM_RULES[name];
+      if (!rule.test(value)) {
+        return { error: { code: rule.code, message: rule.message, param: name, value } };
+      }
+    }
+    return { path, route, params };
+  }
+
+  return {
+    error: { code: 'UNSUPPORTED_PATH', message: 'Path is not a supported ordinals endpoint', supported: SUPPORTED_PATHS },
+  };
+}
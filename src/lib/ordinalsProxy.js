@@ -0,0 +1,44 @@
+import { fetchOrdinals, cacheControlHeader, OrdinalsError } from '@/lib/ordinals';
+import { validateOrdinalsPath } from '@/lib/ordinalsPaths';
+
+// Inscriptions are untrusted HTML and SVG served from our own origin - the origin users
+// have connected their wallets to. Like ord, keep them in a sandbox with an opaque origin,
+// even when a /content/ URL is opened directly, and limit what they can load to this server.
+const CONTENT_SECURITY_POLICY = "sandbox allow-scripts; default-src 'self' 'unsafe-eval' 'unsafe-inline' data: blob:";
+
+// Shared by /api/ordinals?path=... and the ord-style /content and /r rewrites
+export async function proxyOrdinals(request, path) {
+  if (!path) {
+    return Response.json({ error: 'Path required' }, { status: 400 });
+  }
+
+  const validation = validateOrdinalsPath(path);
+  if (validation.error) {
+    return Response.json({ error: validation.error.message, ...validation.error }, { status: 400 });
+  }
+
+  try {
+    const { body, contentType, etag } = await fetchOrdinals(path);
+    const headers = {
+      'Cache-Control': cacheControlHeader(path),
+      // Recursive inscriptions fetch these from sandboxed iframes
+      'Access-Control-Allow-Origin': '*',
+      'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+      'X-Content-Type-Options': 'nosniff',
+      ETag: etag,
+    };
+
+    if (request.headers.get('If-None-Match') === etag) {
+      return new Response(null, { status: 304, headers });
+    }
+
+    return new Response(body, {
+      headers: { ...headers, 'Content-Type': contentType },
+    });
+  } catch (error) {
+    if (error instanceof OrdinalsError) {
+      return Response.json({ error: error.message }, { status: error.status });
+    }
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,29 @@
+// Fixed-window request counter keyed by client, for endpoints anyone can call.
+// take(key) returns true while the key has requests left in its current window.
+export function createRateLimit({ limit, windowMs }) {
+  const windows = new Map();
+
+  return function take(key) {
+    const now = Date.now();
+    // Windows are re-inserted when they restart, so insertion order is reset order
+    for (const [k, window] of windows) {
+      if (window.resetAt > now) break;
+      windows.delete(k);
+    }
+    const window = windows.get(key);
+    if (!window) {
+      windows.set(key, { count: 1, resetAt: now + windowMs });
+      return true;
+    }
+    if (window.count >= limit) return false;
+    window.count++;
+    return true;
+  };
+}
+
+// Best-effort client address: the first hop the proxy in front of Next.js saw
+export function clientAddress(request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return request.headers.get('x-real-ip') || 'unknown';
+}
@@ -0,0 +1,171 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { serverOrdinals, OrdinalsError } from '@/lib/ordinals';
+import { MAX_INDEXED_BITMAP, resolveBitmapInscription, findBitmapTextsInBlock } from '@/lib/bitmap';
+import { buildSatIndexBinary, isOutdatedSatIndex, readSat } from '@/lib/bitmap/satIndexBinary';
+
+const INDEX_FILE = process.env.BITMAP_SAT_INDEX_FILE || path.join(process.cwd(), 'data', 'bitmap-sat-index.bin');
+// Every bitmap resolved so far, with the inscription that is valid for it on its sat.
+// Bitmaps past the index are stored as `confirmed: false` candidates.
+const RESOLVED_FILE = process.env.BITMAP_SATS_FILE || path.join(process.cwd(), 'data', 'bitmap-sats.json');
+
+// Without an inscription to start from, a bitmap past the index is searched for in
+// its own block and the next few, where nearly every bitmap was claimed
+const BLOCK_SEARCH_DEPTH = 3;
+// A search that found nothing is repeated at most this often
+const SEARCH_RETRY = 10 * 60 * 1000; // 10 minutes
+
+let loading = null;
+let resolved = null;
+let writeQueue = Promise.resolve();
+const inflight = new Map();
+// Block searches fetch every inscription in a block, so only one runs at a time
+let searchQueue = Promise.resolve();
+const missedAt = new Map(); // bitmap number -> when a search last found nothing
+
+// Prefer the prebuilt file (npm run build:sat-index); without one, build it
+// from the inscriptions on first use and keep it for the next start. Files in
+// an older format are rebuilt the same way.
+async function loadIndex() {
+  try {
+    const buffer = await fs.readFile(INDEX_FILE);
+    if (!isOutdatedSatIndex(buffer)) return buffer;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const buffer = await buildSatIndexBinary(serverOrdinals);
+  await fs.mkdir(path.dirname(INDEX_FILE), { recursive: true });
+  await fs.writeFile(INDEX_FILE, buffer);
+  return buffer;
+}
+
+function getIndex() {
+  if (!loading) {
+    loading = loadIndex();
+    loading.catch(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+async function loadResolved() {
+  try {
+    return JSON.parse(await fs.readFile(RESOLVED_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+}
+
+function getResolved() {
+  if (!resolved) {
+    resolved = loadResolved();
+    resolved.catch(() => {
+      resolved = null;
+    });
+  }
+  return resolved;
+}
+
+// `replaces` decides whether the entry may overwrite the one stored for its bitmap.
+// Resolves to whichever entry is stored afterwards.
+function saveResolved(entry, replaces = () => true) {
+  const run = writeQueue.then(async () => {
+    const entries = await getResolved();
+    if (!replaces(entries[entry.bitmapNumber])) return entries[entry.bitmapNumber];
+    entries[entry.bitmapNumber] = entry;
+    await fs.mkdir(path.dirname(RESOLVED_FILE), { recursive: true });
+    const tmpFile = `${RESOLVED_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(entries, null, 2));
+    await fs.rename(tmpFile, RESOLVED_FILE);
+    return entry;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+async function resolveIndexed(bitmapNum) {
+  const sat = readSat(await getIndex(), bitmapNum);
+  if (sat === null) return null;
+  const found = await resolveBitmapInscription(serverOrdinals, bitmapNum, sat);
+  if (found) await saveResolved(found);
+  return found;
+}
+
+// Past the index any valid inscription found may be a later copy on another sat, so
+// only the earliest candidate seen so far, by inscription number, is kept
+function keepCandidate(found) {
+  const number = (entry) => entry.inscriptionNumber ?? Infinity;
+  return saveResolved({ ...found, confirmed: false }, (current) => !current || number(found) < number(current));
+}
+
+// The only ways to the sat past the index are an inscription on it, or a search of
+// the blocks the bitmap could have been claimed in
+async function resolveHint(bitmapNum, hintInscriptionId) {
+  const info = await serverOrdinals.json(`/r/inscription/${hintInscriptionId}`);
+  const found = info.sat == null ? null : await resolveBitmapInscription(serverOrdinals, bitmapNum, info.sat);
+  if (found) return keepCandidate(found);
+  return (await getResolved())[bitmapNum] || null;
+}
+
+async function searchBlocks(bitmapNum) {
+  for (let height = bitmapNum; height < bitmapNum + BLOCK_SEARCH_DEPTH; height++) {
+    let texts;
+    try {
+      texts = await findBitmapTextsInBlock(serverOrdinals, bitmapNum, height);
+    } catch (e) {
+      if (e instanceof OrdinalsError && e.status === 404) break; // Past the chain tip
+      throw e;
+    }
+    for (const { sat } of texts) {
+      const found = await resolveBitmapInscription(serverOrdinals, bitmapNum, sat);
+      if (found) return keepCandidate(found);
+    }
+  }
+  return null;
+}
+
+function searchOnce(bitmapNum) {
+  if (Date.now() - (missedAt.get(bitmapNum) ?? -Infinity) < SEARCH_RETRY) return Promise.resolve(null);
+  const run = searchQueue.then(() => searchBlocks(bitmapNum));
+  searchQueue = run.catch(() => {});
+  return run.then((entry) => {
+    if (!entry) missedAt.set(bitmapNum, Date.now());
+    return entry;
+  });
+}
+
+// Concurrent lookups of the same bitmap share one resolution
+function shared(key, resolve) {
+  if (!inflight.has(key)) {
+    const request = resolve().finally(() => inflight.delete(key));
+    inflight.set(key, request);
+  }
+  return inflight.get(key);
+}
+
+// Returns { bitmapNumber, sat, inscriptionId, inscriptionNumber, satIndex, confirmed }
+// for the bitmap's valid inscription, or null when it can't be resolved. Indexed
+// bitmaps are confirmed, since the first valid inscription on a sat never changes once
+// it exists. Past the index the answer is only the earliest candidate seen so far,
+// so it is `confirmed: false` and replaced if an earlier one turns up.
+export async function lookupBitmap(bitmapNum, hintInscriptionId = null) {
+  const entries = await getResolved();
+  const known = entries[bitmapNum];
+
+  if (bitmapNum > MAX_INDEXED_BITMAP) {
+    let entry = known;
+    if (hintInscriptionId && hintInscriptionId !== known?.inscriptionId) {
+      entry = await shared(`${bitmapNum}:${hintInscriptionId}`, () => resolveHint(bitmapNum, hintInscriptionId));
+    } else if (!known) {
+      entry = await shared(`${bitmapNum}`, () => searchOnce(bitmapNum));
+    }
+    return entry && { ...entry, confirmed: false };
+  }
+
+  // Candidates stored before the index covered this bitmap don't count
+  const indexed = known?.confirmed === false ? null : known;
+  const entry = indexed || (await shared(`${bitmapNum}`, () => resolveIndexed(bitmapNum)));
+  return entry && { ...entry, confirmed: true };
+}
@@ -0,0 +1,54 @@
+import { Verifier } from 'bip322-js';
+import verifyDataSignature from '@cardano-foundation/cardano-verify-datasignature';
+import { utils as cardanoUtils } from '@stricahq/typhonjs';
+
+const HEX_PATTERN = /^[0-9a-f]+$/i;
+
+// Xverse signs BIP-322 for taproot/segwit addresses, Unisat signs legacy
+// "Bitcoin Signed Message" by default - bip322-js accepts both formats
+export function verifyBtcSignature({ address, message, signature }) {
+  if (!address || !message || !signature) return false;
+  try {
+    return Verifier.verifySignature(address, message, signature);
+  } catch (e) {
+    return false;
+  }
+}
+
+// CIP-30 wallets hand out addresses as hex-encoded bytes, the verifier wants bech32
+export function toBech32Address(address) {
+  if (!address) return null;
+  if (!HEX_PATTERN.test(address)) return address;
+  try {
+    return cardanoUtils.getAddressFromHex(address).getBech32();
+  } catch (e) {
+    return null;
+  }
+}
+
+// api.signData returns a COSE_Sign1 signature plus the COSE_Key it was made with
+export function verifyAdaSignature({ address, message, signature, key }) {
+  if (!address || !message || !signature || !key) return false;
+  const bech32Address = toBech32Address(address);
+  if (!bech32Address) return false;
+  try {
+    return verifyDataSignature(signature, key, message, bech32Address);
+  } catch (e) {
+    return false;
+  }
+}
+
+export function verifyLinkage(linkage) {
+  const btc = verifyBtcSignature({
+    address: linkage.btcAddress,
+    message: linkage.btcMessage,
+    signature: linkage.btcSignature,
+  });
+  const ada = verifyAdaSignature({
+    address: linkage.adaAddress,
+    message: linkage.adaMessage,
+    signature: linkage.adaSignature,
+    key: linkage.adaKey,
+  });
+  return { btc, ada, valid: btc && ada };
+}